@@ -1,11 +1,89 @@
 import { Tool, Toolbox } from './tools.js';
-import { MessageRole } from './models.js';
-import { truncateContent, AgentParsingError, AgentExecutionError, AgentMaxIterationsError } from './utils.js';
+import { FinalAnswerTool } from './default_tools.js';
+import { MessageRole, ChatMessage, getJsonSchema, imageToContentPart } from './models.js';
+import {
+  truncateContent,
+  AgentParsingError,
+  AgentExecutionError,
+  AgentMaxIterationsError,
+  AgentGenerationError,
+  AgentCancelledError,
+  AgentBudgetExceededError,
+  AgentOutputValidationError,
+  abortable,
+  mapWithConcurrency,
+  parseJsonToolCall
+} from './utils.js';
 import { Monitor } from './monitoring.js';
 import { parseCodeBlob } from './utils.js';
 import { LocalNodeInterpreter, BASE_BUILTIN_MODULES } from './local_nodejs_executor.js';
-import { CODE_SYSTEM_PROMPT, TOOL_CALLING_SYSTEM_PROMPT, MANAGED_AGENT_PROMPT } from './prompts.js';
-import { SystemPromptStep } from './steps.js';
+import {
+  CODE_SYSTEM_PROMPT,
+  TOOL_CALLING_SYSTEM_PROMPT,
+  JSON_SYSTEM_PROMPT,
+  MANAGED_AGENT_PROMPT,
+  SYSTEM_PROMPT_FACTS,
+  SYSTEM_PROMPT_PLAN,
+  USER_PROMPT_PLAN,
+  SYSTEM_PROMPT_FACTS_UPDATE,
+  USER_PROMPT_FACTS_UPDATE,
+  SYSTEM_PROMPT_PLAN_UPDATE,
+  USER_PROMPT_PLAN_UPDATE,
+  PLAN_UPDATE_FINAL_PLAN_REDACTION
+} from './prompts.js';
+import {
+  SystemPromptStep,
+  TaskStep,
+  PlanningStep,
+  ActionStep,
+  SummaryStep,
+  stepFromJSON
+} from './steps.js';
+import { isAgentImage, filterAgentImages } from './image_utils.js';
+import { AgentEvent, AgentEventType, EventChannel } from './events.js';
+import { ApprovalDecision, ApprovalTarget, normalizeApproval, formatRejection } from './approval.js';
+import { validateJsonSchema } from './json_schema.js';
+import { getModelCapabilities, supportsGrammar } from './capabilities.js';
+
+const RUN_SNAPSHOT_VERSION = 2;
+const DEFAULT_MAX_TOKENS = 1500;
+const RETRY_MESSAGE = "Now let's retry: take care not to repeat previous errors! If you have retried several times, try a completely different approach.";
+
+// For models that do not support stop sequences, the output is cut client-side
+function truncateAtStopSequences(text, stopSequences) {
+  let end = text.length;
+  for (const stopSequence of stopSequences || []) {
+    const index = text.indexOf(stopSequence);
+    if (index !== -1 && index < end) {
+      end = index;
+    }
+  }
+  return text.slice(0, end);
+}
+
+function withImages(text, images) {
+  return images?.length ? [{ type: 'text', text }, ...images] : text;
+}
+
+// Tools show images to the model by returning an AgentImage, or a list of them
+async function getObservationImages(observation) {
+  const images = await filterAgentImages(Array.isArray(observation) ? observation : [observation]);
+  return Promise.all(images.map(image => imageToContentPart(image)));
+}
+
+// CodeAgent and ToolCallingAgent can only end a run by calling final_answer,
+// so they have it even when the base tools are not added. Native tool calling
+// forces a tool choice, which needs its schema in the request.
+function withFinalAnswerTool(tools) {
+  if (tools instanceof Toolbox) {
+    if (!tools.tools.has('final_answer')) {
+      tools.addTool(new FinalAnswerTool());
+    }
+    return tools;
+  }
+  tools = tools || [];
+  return tools.some(tool => tool.name === 'final_answer') ? tools : [...tools, new FinalAnswerTool()];
+}
 
 export class MultiStepAgent {
   constructor({
@@ -20,7 +98,12 @@ export class MultiStepAgent {
     grammar = null,
     managedAgents = null,
     stepCallbacks = null,
-    planningInterval = null
+    eventCallbacks = null,
+    planningInterval = null,
+    budget = null,
+    approvalPolicy = null,
+    contextManager = null,
+    streamOutputs = false
   }) {
     this.agentName = this.constructor.name;
     this.model = model;
@@ -42,7 +125,7 @@ export class MultiStepAgent {
     if (tools instanceof Toolbox) {
       this._toolbox = tools;
       if (addBaseTools) {
-        this._toolbox.addBaseTools();
+        this._toolbox.addBaseTools(addBaseTools === true ? {} : addBaseTools);
       }
     } else {
       this._toolbox = new Toolbox(tools, addBaseTools);
@@ -53,9 +136,22 @@ export class MultiStepAgent {
     this.logs = [];
     this.task = null;
     this.verbose = verbose;
-    this.monitor = new Monitor(this.model);
+    this.budget = budget;
+    this.approvalPolicy = approvalPolicy;
+    this.contextManager = contextManager;
+    this.streamOutputs = streamOutputs;
+    this.capabilities = getModelCapabilities(model);
+    this.monitor = new Monitor(this.model, budget);
     this.stepCallbacks = stepCallbacks || [];
     this.stepCallbacks.push(this.monitor.updateMetrics.bind(this.monitor));
+    this.eventCallbacks = eventCallbacks || [];
+    this.eventSink = null;
+    this.iteration = 0;
+    this.runSignal = null;
+    this.timeoutSignal = null;
+    this.maxDurationMs = null;
+    this.runDeadline = null;
+    this.outputSchema = null;
   }
 
   get toolbox() {
@@ -77,11 +173,11 @@ export class MultiStepAgent {
 
   formatPromptWithTools(toolbox, promptTemplate, toolDescriptionTemplate) {
     const toolDescriptions = toolbox.showToolDescriptions(toolDescriptionTemplate);
-    let prompt = promptTemplate.replace("{{tool_descriptions}}", toolDescriptions);
+    let prompt = promptTemplate.replaceAll("{{toolDescriptions}}", () => toolDescriptions);
 
-    if (prompt.includes("{{tool_names}}")) {
-      prompt = prompt.replace(
-        "{{tool_names}}",
+    if (prompt.includes("{{toolNames}}")) {
+      prompt = prompt.replaceAll(
+        "{{toolNames}}",
         Array.from(toolbox.tools.keys()).map(name => `'${name}'`).join(", ")
       );
     }
@@ -135,6 +231,11 @@ Here is a list of the team members that you can call:`;
             content: stepLog.systemPrompt.trim()
           });
         }
+      } else if (stepLog instanceof SummaryStep) {
+        memory.push({
+          role: MessageRole.ASSISTANT,
+          content: `[SUMMARY OF EARLIER STEPS]:\n${stepLog.summary}`
+        });
       } else if (stepLog instanceof PlanningStep) {
         memory.push({
           role: MessageRole.ASSISTANT,
@@ -150,68 +251,103 @@ Here is a list of the team members that you can call:`;
       } else if (stepLog instanceof TaskStep) {
         memory.push({
           role: MessageRole.USER,
-          content: `New task:\n${stepLog.task}`
+          content: withImages(`New task:\n${stepLog.task}`, stepLog.images)
         });
       } else if (stepLog instanceof ActionStep) {
-        if (stepLog.llmOutput && !summaryMode) {
-          memory.push({
-            role: MessageRole.ASSISTANT,
-            content: stepLog.llmOutput.trim()
-          });
-        }
+        memory.push(...this.writeActionStepMemory(stepLog, summaryMode));
+      }
+    }
 
-        if (stepLog.toolCall) {
-          memory.push({
-            role: MessageRole.ASSISTANT,
-            content: JSON.stringify([{
-              id: stepLog.toolCall.id,
-              type: "function",
-              function: {
-                name: stepLog.toolCall.name,
-                arguments: stepLog.toolCall.arguments
-              }
-            }])
-          });
-        }
+    return memory;
+  }
 
-        if (!stepLog.toolCall && stepLog.error) {
-          const messageContent = `Error:\n${stepLog.error}\nNow let's retry: take care not to repeat previous errors! If you have retried several times, try a completely different approach.\n`;
-          memory.push({
-            role: MessageRole.ASSISTANT,
-            content: messageContent
-          });
-        }
+  writeActionStepMemory(stepLog, summaryMode = false) {
+    const memory = [];
 
-        if (stepLog.toolCall && (stepLog.error || stepLog.observations)) {
-          let messageContent;
-          if (stepLog.error) {
-            messageContent = `Error:\n${stepLog.error}\nNow let's retry: take care not to repeat previous errors! If you have retried several times, try a completely different approach.\n`;
-          } else if (stepLog.observations) {
-            messageContent = `Observation:\n${stepLog.observations}`;
+    if (stepLog.llmOutput && !summaryMode) {
+      memory.push({
+        role: MessageRole.ASSISTANT,
+        content: stepLog.llmOutput.trim()
+      });
+    }
+
+    // A step error that no tool call accounts for (a failed final answer, a code
+    // execution error...) is reported in the response of the last pending call.
+    let errorReported = false;
+    if (stepLog.toolCalls.length > 0) {
+      memory.push({
+        role: MessageRole.TOOL_CALL,
+        content: JSON.stringify(stepLog.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: "function",
+          function: {
+            name: toolCall.name,
+            arguments: toolCall.arguments
           }
-          memory.push({
-            role: MessageRole.TOOL_RESPONSE,
-            content: `Call id: ${stepLog.toolCall.id || 'call_0'}\n${messageContent}`
-          });
+        }))),
+        toolCalls: stepLog.toolCalls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args }))
+      });
+
+      for (const toolCall of stepLog.toolCalls) {
+        let messageContent;
+        if (toolCall.error) {
+          messageContent = `Error:\n${toolCall.error}\n${RETRY_MESSAGE}`;
+        } else if (toolCall.observations !== undefined && toolCall.observations !== null) {
+          messageContent = `Observation:\n${toolCall.observations}`;
+        } else if (stepLog.error && !errorReported) {
+          messageContent = `Error:\n${stepLog.error}\n${RETRY_MESSAGE}`;
+          errorReported = true;
+        } else if (toolCall.name === 'final_answer') {
+          messageContent = 'Observation:\nFinal answer received.';
+        } else {
+          messageContent = 'Observation:\nThe tool was not executed.';
         }
+        memory.push({
+          role: MessageRole.TOOL_RESPONSE,
+          content: withImages(`Call id: ${toolCall.id}\n${messageContent}`, toolCall.images),
+          toolCallId: toolCall.id
+        });
       }
     }
 
+    if (stepLog.error && !errorReported) {
+      memory.push({
+        role: MessageRole.ASSISTANT,
+        content: `Error:\n${stepLog.error}\n${RETRY_MESSAGE}\n`
+      });
+    }
+
     return memory;
   }
 
   getSuccinctLogs() {
-    return this.logs.map(log => {
-      const { agentMemory, ...rest } = log;
-      return rest;
-    });
+    return this.logs.map(log => log.toJSON());
+  }
+
+  async requestApproval(target, name, args) {
+    if (!this.approvalPolicy) {
+      return { decision: ApprovalDecision.APPROVE };
+    }
+    let approval;
+    try {
+      approval = normalizeApproval(
+        await this.approvalPolicy({ target, name, arguments: args, agent: this })
+      );
+    } catch (e) {
+      throw new AgentExecutionError(`Approval policy failed for '${name}': ${e.message}`);
+    }
+    if (approval.decision !== ApprovalDecision.APPROVE) {
+      console.log(`Approval policy decision for '${name}': ${approval.decision}${approval.reason ? ` (${approval.reason})` : ''}`);
+    }
+    return approval;
   }
 
-  async executeToolCall(toolName, toolArgs) {
+  async executeToolCall(toolName, toolArgs, toolCall = null) {
     const availableTools = {
-      ...this.toolbox.tools,
+      ...Object.fromEntries(this.toolbox.tools),
       ...this.managedAgents
     };
+    const callOptions = { sanitizeInputsOutputs: true, signal: this.runSignal };
 
     if (!(toolName in availableTools)) {
       throw new AgentExecutionError(
@@ -219,10 +355,27 @@ Here is a list of the team members that you can call:`;
       );
     }
 
+    this.runSignal?.throwIfAborted();
+    const target = toolName in this.managedAgents ? ApprovalTarget.MANAGED_AGENT : ApprovalTarget.TOOL;
+    const approval = await this.requestApproval(target, toolName, toolArgs);
+    this.runSignal?.throwIfAborted();
+    if (toolCall) {
+      toolCall.approval = approval;
+    }
+    if (approval.decision === ApprovalDecision.REJECT) {
+      return formatRejection(target, toolName, approval.reason);
+    }
+    if (approval.decision === ApprovalDecision.EDIT) {
+      toolArgs = approval.arguments;
+      if (toolCall) {
+        toolCall.arguments = toolArgs;
+      }
+    }
+
     try {
       let observation;
       if (typeof toolArgs === 'string') {
-        observation = await availableTools[toolName].__call__(toolArgs, true);
+        observation = await availableTools[toolName].__call__(toolArgs, callOptions);
       } else if (typeof toolArgs === 'object') {
         const processedArgs = { ...toolArgs };
         for (const [key, value] of Object.entries(processedArgs)) {
@@ -230,7 +383,7 @@ Here is a list of the team members that you can call:`;
             processedArgs[key] = this.state[value];
           }
         }
-        observation = await availableTools[toolName].__call__({ ...processedArgs, sanitizeInputsOutputs: true });
+        observation = await availableTools[toolName].__call__(processedArgs, callOptions);
       } else {
         throw new AgentExecutionError(
           `Arguments passed to tool should be a dict or string: got a ${typeof toolArgs}.`
@@ -238,8 +391,8 @@ Here is a list of the team members that you can call:`;
       }
       return observation;
     } catch (e) {
-      if (toolName in this.toolbox.tools) {
-        const toolDescription = this.toolbox.getToolDescriptionWithArgs(availableTools[toolName]);
+      if (this.toolbox.tools.has(toolName)) {
+        const toolDescription = this.toolbox.getToolDescriptionWithArgs(availableTools[toolName], this.toolDescriptionTemplate);
         throw new AgentExecutionError(
           `Error in tool call execution: ${e}
 You should only use this tool with a correct input.
@@ -269,16 +422,11 @@ ${availableTools[toolName]}`
           content: `Based on the above, please provide an answer to the following user request:\n${task}`
         }
       ];
-
-      if (typeof this.model.call === 'function') {
-        return await this.model.call(messages);
-      }
-
-      if (typeof this.model === 'function') {
-        return await this.model(messages);
+      if (this.outputSchema) {
+        messages[messages.length - 1].content += '\nAnswer only with the JSON value, without any other text.';
       }
 
-      throw new Error('Model must be either a function or an object with a call method');
+      return await this.generateText(messages, { purpose: 'final_answer' });
     } catch (e) {
       return `Error in generating final LLM output:\n${e}`;
     }
@@ -288,18 +436,34 @@ ${availableTools[toolName]}`
     stream = false,
     reset = true,
     singleStep = false,
-    additionalArgs = null
+    additionalArgs = null,
+    signal = null,
+    maxDurationMs = null,
+    budget = null,
+    outputSchema = null,
+    images = null
   } = {}) {
+    this.checkCapabilities({ images });
     this.task = task;
+    this.prepareRunSignal(signal, maxDurationMs);
+    this.monitor.setBudget(budget || this.budget);
     if (additionalArgs) {
       this.state = { ...this.state, ...additionalArgs };
       this.task += `
 You have been provided with these additional arguments, that you can access using the keys as variables in your python code:
 ${JSON.stringify(additionalArgs)}.`;
     }
+    this.outputSchema = outputSchema;
+    if (outputSchema) {
+      this.task += `
+Your final answer must be a JSON value that conforms to the following JSON Schema. Pass it to final_answer as structured data, not as a string:
+\`\`\`json
+${JSON.stringify(outputSchema, null, 2)}
+\`\`\``;
+    }
 
     this.initializeSystemPrompt();
-    const systemPromptStep = { systemPrompt: this.systemPrompt };
+    const systemPromptStep = new SystemPromptStep(this.systemPrompt);
 
     if (reset) {
       this.logs = [systemPromptStep];
@@ -316,127 +480,392 @@ ${JSON.stringify(additionalArgs)}.`;
       `New run\n${this.task.trim()}\n${this.model.constructor.name} - ${this.model.modelId || ''}`
     );
 
-    this.logs.push({ task: this.task });
+    const imageParts = await Promise.all((images || []).map(image => imageToContentPart(image)));
+    this.logs.push(new TaskStep(this.task, imageParts));
+    this.iteration = 0;
 
     if (singleStep) {
-      const stepStartTime = Date.now();
-      const stepLog = {
-        startTime: stepStartTime
-      };
-      stepLog.endTime = Date.now();
-      stepLog.duration = stepLog.endTime - stepLog.startTime;
-
+      const stepLog = new ActionStep({
+        iteration: this.iteration,
+        startTime: Date.now()
+      });
       const result = await this.step(stepLog);
+      stepLog.finish();
       return result;
     }
 
     return stream ? this.streamRun(this.task) : this.directRun(this.task);
   }
 
-  async *streamRun(task) {
-    let finalAnswer = null;
-    let iteration = 0;
+  async continueRun({ stream = false, signal = null, maxDurationMs = null } = {}) {
+    if (this.task === null) {
+      throw new Error('There is no run to continue: call run() or restore a snapshot with resume() first.');
+    }
+    this.checkCapabilities();
+    this.prepareRunSignal(signal, maxDurationMs);
+    console.log(`Resuming run at step ${this.iteration}\n${this.task.trim()}`);
+    return stream ? this.streamRun(this.task) : this.directRun(this.task);
+  }
 
-    while (finalAnswer === null && iteration < this.maxIterations) {
-      const stepStartTime = Date.now();
-      const stepLog = {
-        iteration,
-        startTime: stepStartTime
-      };
+  prepareRunSignal(signal, maxDurationMs) {
+    this.maxDurationMs = maxDurationMs;
+    this.runDeadline = maxDurationMs ? Date.now() + maxDurationMs : null;
+    this.timeoutSignal = maxDurationMs ? AbortSignal.timeout(maxDurationMs) : null;
+    const signals = [signal, this.timeoutSignal].filter(Boolean);
+    this.runSignal = signals.length > 0 ? AbortSignal.any(signals) : null;
+  }
 
-      try {
-        if (this.planningInterval && iteration % this.planningInterval === 0) {
-          await this.planningStep(task, iteration === 0, iteration);
-        }
-        console.log(`Step ${iteration}`);
+  // Synchronous code can outlive the deadline before the timeout signal fires,
+  // so the deadline is checked as well.
+  isRunCancelled() {
+    return Boolean(this.runSignal?.aborted) || (this.runDeadline !== null && Date.now() >= this.runDeadline);
+  }
 
-        finalAnswer = await this.step(stepLog);
+  getRemainingRunTime() {
+    return this.runDeadline === null ? null : Math.max(1, this.runDeadline - Date.now());
+  }
+
+  getCancellationError() {
+    if (this.timeoutSignal?.aborted || (this.runDeadline !== null && Date.now() >= this.runDeadline)) {
+      return new AgentCancelledError(`Run exceeded its time budget of ${this.maxDurationMs} ms.`);
+    }
+    const reason = this.runSignal.reason;
+    const details = reason?.message || (reason !== undefined ? String(reason) : null);
+    return new AgentCancelledError(details ? `Run was cancelled: ${details}` : 'Run was cancelled.');
+  }
+
+  exportRun() {
+    const state = {};
+    for (const [key, value] of Object.entries(this.state)) {
+      try {
+        state[key] = JSON.parse(JSON.stringify(value));
       } catch (e) {
-        stepLog.error = e;
-      } finally {
-        stepLog.endTime = Date.now();
-        stepLog.duration = stepLog.endTime - stepLog.startTime;
-        this.logs.push(stepLog);
-        for (const callback of this.stepCallbacks) {
-          await callback(stepLog);
-        }
-        iteration++;
-        yield stepLog;
+        console.warn(`State key '${key}' is not JSON-serializable and will not be exported: ${e.message}`);
       }
     }
 
-    if (finalAnswer === null && iteration === this.maxIterations) {
-      const errorMessage = "Reached max iterations.";
-      const finalStepLog = {
-        error: new AgentMaxIterationsError(errorMessage)
-      };
-      this.logs.push(finalStepLog);
-      finalAnswer = await this.provideFinalAnswer(task);
-      console.log(`Final answer: ${finalAnswer}`);
-      finalStepLog.actionOutput = finalAnswer;
-      finalStepLog.endTime = Date.now();
-      finalStepLog.duration = finalStepLog.endTime - stepStartTime;
-      for (const callback of this.stepCallbacks) {
-        await callback(finalStepLog);
+    return {
+      version: RUN_SNAPSHOT_VERSION,
+      agentName: this.agentName,
+      task: this.task,
+      systemPrompt: this.systemPrompt,
+      iteration: this.iteration,
+      logs: this.logs.map(stepLog => stepLog.toJSON()),
+      outputSchema: this.outputSchema,
+      state,
+      tokenCounts: this.monitor.getTotalTokenCounts(),
+      stepDurations: [...this.monitor.stepDurations]
+    };
+  }
+
+  static resume(snapshot, options) {
+    const agent = new this(options);
+    agent.restoreRun(snapshot);
+    return agent;
+  }
+
+  restoreRun(snapshot) {
+    const data = typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot;
+    if (data.version !== RUN_SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported run snapshot version ${data.version}, expected ${RUN_SNAPSHOT_VERSION}.`);
+    }
+    if (data.agentName !== this.agentName) {
+      console.warn(`Restoring a run exported by ${data.agentName} into ${this.agentName}.`);
+    }
+
+    this.task = data.task;
+    this.systemPrompt = data.systemPrompt;
+    this.iteration = data.iteration;
+    this.logs = data.logs.map(stepFromJSON);
+    this.outputSchema = data.outputSchema || null;
+    this.state = { ...data.state };
+    this.monitor.reset();
+    this.monitor.totalInputTokenCount = data.tokenCounts.input || 0;
+    this.monitor.totalOutputTokenCount = data.tokenCounts.output || 0;
+    this.monitor.stepDurations = [...data.stepDurations];
+    return this;
+  }
+
+  emitEvent(type, payload = {}) {
+    const event = new AgentEvent(type, { step: this.iteration, ...payload });
+    if (this.eventSink) {
+      this.eventSink(event);
+    }
+    for (const callback of this.eventCallbacks) {
+      callback(event);
+    }
+    return event;
+  }
+
+  // Fails before the first model call when the run needs something the model
+  // cannot do, and works around what can be done without.
+  checkCapabilities({ images = null } = {}) {
+    this.capabilities = getModelCapabilities(this.model);
+    const modelName = this.model.modelId || this.model.constructor.name;
+
+    if (images?.length && !this.capabilities.vision) {
+      throw new Error(
+        `Model ${modelName} does not support images. Use a vision model, or call model.withCapabilities({ vision: true }) if it does support them.`
+      );
+    }
+    if (this.streamOutputs && typeof this.model.generateStream !== 'function') {
+      throw new Error(`Model ${modelName} cannot stream its outputs: it has no generateStream method.`);
+    }
+    if (this.grammar && !supportsGrammar(this.capabilities, this.grammar)) {
+      console.warn(`Model ${modelName} does not support grammars of type '${this.grammar.type}', generating without grammar.`);
+    }
+    const systemPromptTokens = Math.ceil(this.systemPrompt.length / 4);
+    if (systemPromptTokens > this.capabilities.contextWindow) {
+      throw new Error(
+        `The system prompt (about ${systemPromptTokens} tokens) does not fit in the ${this.capabilities.contextWindow} tokens context window of model ${modelName}. Use fewer tools or a model with a larger context window.`
+      );
+    }
+  }
+
+  getModelOptions({ stopSequences = null, grammar = null, tools = null, purpose = 'action', maxTokens = null } = {}) {
+    return {
+      stopSequences: this.capabilities.stopSequences ? stopSequences : null,
+      grammar: supportsGrammar(this.capabilities, grammar) ? grammar : null,
+      maxTokens: Math.min(maxTokens ?? DEFAULT_MAX_TOKENS, this.capabilities.maxOutputTokens),
+      tools,
+      signal: this.runSignal,
+      purpose
+    };
+  }
+
+  // Every model request of the agent goes through here. With `stream`, the
+  // output deltas are forwarded as events while the message is assembled.
+  // executeRun stops waiting for a cancelled step without stopping it, so the
+  // step checks the run signal itself around model and tool calls.
+  // The usage of every request is added to the monitor, and no request other
+  // than the final answer is sent once the budget is exceeded.
+  async generateMessage(messages, { stopSequences = null, grammar = null, tools = null, purpose = 'action', maxTokens = null, stream = false } = {}) {
+    this.runSignal?.throwIfAborted();
+    const budgetMessage = purpose === 'final_answer' ? null : this.monitor.checkBudget();
+    if (budgetMessage) {
+      throw new AgentBudgetExceededError(budgetMessage);
+    }
+    const options = this.getModelOptions({ stopSequences, grammar, tools, purpose, maxTokens });
+    const message = stream
+      ? await this.generateStreamingMessage(messages, options)
+      : await this.model.generate(messages, options);
+    this.monitor.recordUsage(message.usage ?? {
+      inputTokens: this.model.lastInputTokenCount,
+      outputTokens: this.model.lastOutputTokenCount
+    });
+    this.runSignal?.throwIfAborted();
+    if (!this.capabilities.stopSequences) {
+      message.content = truncateAtStopSequences(message.content ?? '', stopSequences);
+    }
+    return message;
+  }
+
+  async generateText(messages, options = {}) {
+    const message = await this.generateMessage(messages, options);
+    return message.content ?? '';
+  }
+
+  async generateStreamingMessage(messages, options) {
+    let content = '';
+    const toolCalls = [];
+    for await (const delta of this.model.generateStream(messages, options)) {
+      this.emitEvent(AgentEventType.MODEL_OUTPUT_DELTA, { delta });
+      if (delta.type === 'text') {
+        content += delta.content;
+      } else if (delta.type === 'tool_call') {
+        toolCalls[delta.index] ??= { id: null, name: null, arguments: '' };
+        const toolCall = toolCalls[delta.index];
+        toolCall.id = delta.id || toolCall.id;
+        toolCall.name = delta.name || toolCall.name;
+        toolCall.arguments += delta.arguments || '';
       }
-      yield finalStepLog;
     }
 
-    yield this.handleAgentOutputTypes(finalAnswer);
+    return new ChatMessage({
+      content,
+      toolCalls: toolCalls.filter(Boolean).map(toolCall => {
+        try {
+          return { ...toolCall, arguments: toolCall.arguments ? JSON.parse(toolCall.arguments) : {} };
+        } catch (e) {
+          return toolCall;
+        }
+      }),
+      usage: { inputTokens: this.model.lastInputTokenCount, outputTokens: this.model.lastOutputTokenCount }
+    });
+  }
+
+  async *streamRun(task) {
+    // Stops the run when the consumer leaves the loop before the run ends
+    const consumer = new AbortController();
+    this.runSignal = this.runSignal ? AbortSignal.any([this.runSignal, consumer.signal]) : consumer.signal;
+    const channel = new EventChannel();
+    const execution = this.executeRun(task, event => channel.push(event)).then(
+      () => channel.close(),
+      error => channel.close(error)
+    );
+    try {
+      yield* channel;
+    } finally {
+      if (!channel.closed) {
+        consumer.abort(new Error('The event stream was closed by its consumer.'));
+        channel.close();
+      }
+      await execution;
+    }
   }
 
   async directRun(task) {
-    let finalAnswer = null;
-    let iteration = 0;
-    let stepStartTime;
-
-    while (finalAnswer === null && iteration < this.maxIterations) {
-      stepStartTime = Date.now();
-      const stepLog = {
-        iteration,
-        startTime: stepStartTime
-      };
+    return this.executeRun(task, null);
+  }
 
-      try {
-        if (this.planningInterval && iteration % this.planningInterval === 0) {
-          await this.planningStep(task, iteration === 0, iteration);
+  async executeRun(task, eventSink) {
+    this.eventSink = eventSink;
+    try {
+      this.emitEvent(AgentEventType.RUN_START, { task });
+
+      let finalAnswer = null;
+      let stopError = null;
+
+      while (finalAnswer === null && this.iteration < this.maxIterations) {
+        if (this.isRunCancelled()) {
+          stopError = this.getCancellationError();
+          break;
         }
-        console.log(`Step ${iteration}`);
 
-        finalAnswer = await this.step(stepLog);
-      } catch (e) {
-        stepLog.error = e;
-      } finally {
-        const stepEndTime = Date.now();
-        stepLog.endTime = stepEndTime;
-        stepLog.duration = stepEndTime - stepStartTime;
-        this.logs.push(stepLog);
-        for (const callback of this.stepCallbacks) {
-          await callback(stepLog);
+        const stepLog = new ActionStep({
+          iteration: this.iteration,
+          startTime: Date.now()
+        });
+
+        let work = null;
+        try {
+          work = (async () => {
+            if (this.contextManager) {
+              await this.contextManager.compactIfNeeded(this);
+            }
+            if (this.planningInterval && this.iteration % this.planningInterval === 0) {
+              await this.planningStep(task, this.iteration === 0, this.iteration);
+            }
+            console.log(`Step ${this.iteration}`);
+            return this.step(stepLog);
+          })();
+
+          const answer = await abortable(work, this.runSignal);
+          finalAnswer = answer === null ? null : this.validateFinalAnswer(answer);
+          if (finalAnswer !== null) {
+            this.emitEvent(AgentEventType.FINAL_ANSWER, { answer: finalAnswer });
+          }
+        } catch (e) {
+          const budgetMessage = this.monitor.checkBudget();
+          if (this.isRunCancelled()) {
+            // A tool call or code in flight may only stop at its next signal
+            // check, so the cancellation is recorded once the step has settled
+            // and nothing of the run happens after it
+            await work?.catch(() => {});
+            stopError = this.getCancellationError();
+          } else if (budgetMessage) {
+            stopError = e instanceof AgentBudgetExceededError ? e : new AgentBudgetExceededError(budgetMessage);
+          } else {
+            stepLog.error = e;
+            this.emitEvent(AgentEventType.ERROR, { error: e });
+          }
+        } finally {
+          stepLog.finish();
+          stepLog.inputTokenCount = this.model.lastInputTokenCount ?? null;
+          stepLog.outputTokenCount = this.model.lastOutputTokenCount ?? null;
+          stepLog.modelId = this.model.lastModelId ?? this.model.modelId ?? null;
+          this.logs.push(stepLog);
+          this.iteration++;
+          for (const callback of this.stepCallbacks) {
+            await callback(stepLog);
+          }
         }
-        iteration++;
+
+        if (stopError) {
+          break;
+        }
+        if (finalAnswer === null) {
+          const budgetMessage = this.monitor.checkBudget();
+          if (budgetMessage) {
+            stopError = new AgentBudgetExceededError(budgetMessage);
+          }
+        }
+      }
+
+      if (stopError instanceof AgentCancelledError) {
+        await this.logStopStep(stopError, null);
+        this.emitEvent(AgentEventType.RUN_END, {
+          answer: null,
+          iterations: this.iteration,
+          status: 'cancelled'
+        });
+        return null;
+      }
+
+      if (stopError instanceof AgentBudgetExceededError) {
+        const provideAnswer = this.monitor.budget?.allowFinalAnswer ?? true;
+        finalAnswer = await this.logStopStep(stopError, provideAnswer ? task : null);
+        const output = this.handleAgentOutputTypes(finalAnswer);
+        this.emitEvent(AgentEventType.RUN_END, {
+          answer: output,
+          iterations: this.iteration,
+          status: 'budget_exceeded'
+        });
+        return output;
       }
+
+      if (finalAnswer === null && this.iteration >= this.maxIterations) {
+        finalAnswer = await this.logStopStep(
+          new AgentMaxIterationsError("Reached max iterations."),
+          task
+        );
+      }
+
+      const output = this.handleAgentOutputTypes(finalAnswer);
+      this.emitEvent(AgentEventType.RUN_END, {
+        answer: output,
+        iterations: this.iteration,
+        status: 'completed'
+      });
+      return output;
+    } finally {
+      this.eventSink = null;
     }
+  }
 
-    if (finalAnswer === null && iteration === this.maxIterations) {
-      const errorMessage = "Reached max iterations.";
-      const finalStepLog = {
-        error: new AgentMaxIterationsError(errorMessage)
-      };
-      this.logs.push(finalStepLog);
-      finalAnswer = await this.provideFinalAnswer(task);
-      console.log(`Final answer: ${finalAnswer}`);
-      finalStepLog.actionOutput = finalAnswer;
-      finalStepLog.duration = 0;
-      for (const callback of this.stepCallbacks) {
-        await callback(finalStepLog);
+  // Records why the run stopped early and, when given the task, asks the model
+  // for a last answer based on the memory gathered so far.
+  async logStopStep(error, task) {
+    const stopStepLog = new ActionStep({
+      iteration: this.iteration,
+      error,
+      startTime: Date.now()
+    });
+    this.logs.push(stopStepLog);
+    this.emitEvent(AgentEventType.ERROR, { error });
+
+    let finalAnswer = null;
+    if (task !== null) {
+      const answer = await this.provideFinalAnswer(task);
+      console.log(`Final answer: ${answer}`);
+      stopStepLog.actionOutput = answer;
+      try {
+        finalAnswer = this.validateFinalAnswer(answer);
+        this.emitEvent(AgentEventType.FINAL_ANSWER, { answer: finalAnswer });
+      } catch (e) {
+        this.emitEvent(AgentEventType.ERROR, { error: e });
       }
     }
 
-    return this.handleAgentOutputTypes(finalAnswer);
+    stopStepLog.finish();
+    for (const callback of this.stepCallbacks) {
+      await callback(stopStepLog);
+    }
+    return finalAnswer;
   }
 
   async planningStep(task, isFirstStep, iteration) {
+    const startTime = Date.now();
     if (isFirstStep) {
       const messagePromptFacts = {
         role: MessageRole.SYSTEM,
@@ -451,7 +880,10 @@ ${task}
 Now begin!`
       };
 
-      const answerFacts = await this.model([messagePromptFacts, messagePromptTask]);
+      const answerFacts = await this.generateText(
+        [messagePromptFacts, messagePromptTask],
+        { purpose: 'planning' }
+      );
 
       const messageSystemPromptPlan = {
         role: MessageRole.SYSTEM,
@@ -474,9 +906,9 @@ Now begin!`
         )
       };
 
-      const answerPlan = await this.model(
+      const answerPlan = await this.generateText(
         [messageSystemPromptPlan, messageUserPromptPlan],
-        { stopSequences: ["<end_plan>"] }
+        { stopSequences: ["<end_plan>"], purpose: 'planning' }
       );
 
       const finalPlanRedaction = `Here is the plan of action that I will follow to solve the task:
@@ -488,10 +920,7 @@ ${answerPlan}
 ${answerFacts}
 \`\`\``.trim();
 
-      this.logs.push({
-        plan: finalPlanRedaction,
-        facts: finalFactsRedaction
-      });
+      this.logPlanningStep(finalPlanRedaction, finalFactsRedaction, startTime);
       console.log("Initial plan", finalPlanRedaction);
     } else {
       const agentMemory = this.writeInnerMemoryFromLogs(false);
@@ -504,8 +933,9 @@ ${answerFacts}
         role: MessageRole.USER,
         content: USER_PROMPT_FACTS_UPDATE
       };
-      const factsUpdate = await this.model(
-        [factsUpdateSystemPrompt, ...agentMemory, factsUpdateMessage]
+      const factsUpdate = await this.generateText(
+        [factsUpdateSystemPrompt, ...agentMemory, factsUpdateMessage],
+        { purpose: 'planning' }
       );
 
       const planUpdateMessage = {
@@ -532,9 +962,9 @@ ${answerFacts}
         )
       };
 
-      const planUpdate = await this.model(
+      const planUpdate = await this.generateText(
         [planUpdateMessage, ...agentMemory, planUpdateMessageUser],
-        { stopSequences: ["<end_plan>"] }
+        { stopSequences: ["<end_plan>"], purpose: 'planning' }
       );
 
       const finalPlanRedaction = PLAN_UPDATE_FINAL_PLAN_REDACTION.replace(
@@ -549,14 +979,58 @@ ${answerFacts}
 ${factsUpdate}
 \`\`\``;
 
-      this.logs.push({
-        plan: finalPlanRedaction,
-        facts: finalFactsRedaction
-      });
+      this.logPlanningStep(finalPlanRedaction, finalFactsRedaction, startTime);
       console.log("Updated plan", finalPlanRedaction);
     }
   }
 
+  logPlanningStep(plan, facts, startTime) {
+    this.runSignal?.throwIfAborted();
+    const endTime = Date.now();
+    const planningStep = new PlanningStep({
+      plan,
+      facts,
+      startTime,
+      endTime,
+      duration: endTime - startTime,
+      inputTokenCount: this.model.lastInputTokenCount ?? null,
+      outputTokenCount: this.model.lastOutputTokenCount ?? null,
+      modelId: this.model.lastModelId ?? this.model.modelId ?? null
+    });
+    this.logs.push(planningStep);
+    this.emitEvent(AgentEventType.PLANNING, { plan, facts });
+  }
+
+  // Parses the final answer and checks it against the run's output schema. An
+  // invalid answer throws, so that the error is fed back to the model as the
+  // outcome of the step and the run goes on.
+  validateFinalAnswer(answer) {
+    if (!this.outputSchema) {
+      return answer;
+    }
+
+    let value = answer;
+    const expectsString = [this.outputSchema.type].flat().includes('string');
+    if (typeof value === 'string' && !expectsString) {
+      const cleaned = value.trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+      try {
+        value = JSON.parse(cleaned);
+      } catch (e) {
+        throw new AgentOutputValidationError(
+          `Your final answer is not valid JSON (${e.message}). Call final_answer again with a value conforming to the requested JSON Schema.`
+        );
+      }
+    }
+
+    const errors = validateJsonSchema(value, this.outputSchema);
+    if (errors.length > 0) {
+      throw new AgentOutputValidationError(
+        `Your final answer does not conform to the requested JSON Schema:\n${errors.map(error => `- ${error}`).join('\n')}\nFix these errors and call final_answer again.`
+      );
+    }
+    return value;
+  }
+
   handleAgentOutputTypes(output) {
     // TODO: Implement type handling similar to Python version
     return output;
@@ -573,15 +1047,17 @@ export class ToolCallingAgent extends MultiStepAgent {
     model,
     systemPrompt = TOOL_CALLING_SYSTEM_PROMPT,
     planningInterval = null,
+    maxToolConcurrency = 4,
     ...rest
   }) {
     super({
-      tools,
+      tools: withFinalAnswerTool(tools),
       model,
       systemPrompt,
       planningInterval,
       ...rest
     });
+    this.maxToolConcurrency = maxToolConcurrency;
   }
 
   async step(logEntry) {
@@ -590,70 +1066,47 @@ export class ToolCallingAgent extends MultiStepAgent {
     logEntry.agentMemory = [...agentMemory];
 
     try {
-      if (typeof this.model.getToolCall !== 'function') {
-        throw new Error('Model must implement getToolCall method');
-      }
-
-      let toolName, toolArguments, toolCallId;
-      
+      let toolCalls;
       try {
-        const tools = Array.from(this.toolbox.tools.values());
-        const availableTools = tools.map(tool => {
-          if (typeof tool === 'function') {
-            return {
-              name: tool.name || 'unnamed_tool',
-              description: tool.description || '',
-              parameters: tool.parameters || {}
-            };
-          }
-          
-          if (tool instanceof Tool) {
-            return {
-              name: tool.name,
-              description: tool.description,
-              parameters: {
-                type: 'object',
-                properties: tool.inputs || {},
-                required: Object.keys(tool.inputs || {}).filter(k => 
-                  !tool.inputs[k].optional
-                )
-              }
-            };
-          }
-
-          console.warn('Invalid tool object:', tool);
-          return null;
-        }).filter(Boolean);
-
-        if (availableTools.length === 0) {
-          throw new Error('No valid tools available');
-        }
-
-        console.log('Available tools:', JSON.stringify(availableTools, null, 2));
-
-        [toolName, toolArguments, toolCallId] = await this.model.getToolCall(
-          this.inputMessages,
-          availableTools,
-          ["Observation:"]
-        );
+        toolCalls = await this.generateToolCalls(logEntry);
       } catch (e) {
-        console.error('Error calling getToolCall:', e);
+        if (e instanceof AgentParsingError) {
+          throw e;
+        }
+        console.error('Error generating tool calls:', e);
         throw new AgentGenerationError(`Error in tool call generation: ${e.message}`);
       }
 
-      if (!toolName) {
+      if (!toolCalls || toolCalls.length === 0 || toolCalls.some(toolCall => !toolCall.name)) {
         throw new AgentGenerationError('No tool name returned from model');
       }
 
-      logEntry.toolCall = {
-        name: toolName,
-        arguments: toolArguments,
-        id: toolCallId || `call_${this.logs.length}`
-      };
+      logEntry.toolCalls = toolCalls.map((toolCall, index) => ({
+        name: toolCall.name,
+        arguments: toolCall.arguments,
+        id: toolCall.id || `call_${this.logs.length}_${index}`
+      }));
 
-      console.log(`Calling tool: '${toolName}' with arguments: ${JSON.stringify(toolArguments)}`);
+      for (const toolCall of logEntry.toolCalls) {
+        console.log(`Calling tool: '${toolCall.name}' with arguments: ${JSON.stringify(toolCall.arguments)}`);
+        this.emitEvent(AgentEventType.TOOL_CALL, { toolCall });
+      }
 
-      if (toolName === 'final_answer') {
+      // Tools run first so that every call id gets its response in memory, even
+      // when the model asked for the final answer in the same turn.
+      await mapWithConcurrency(
+        logEntry.toolCalls.filter(toolCall => toolCall.name !== 'final_answer'),
+        this.capabilities.parallelTools ? this.maxToolConcurrency : 1,
+        toolCall => this.runToolCall(toolCall)
+      );
+      logEntry.observations = logEntry.toolCalls
+        .filter(toolCall => toolCall.observations)
+        .map(toolCall => toolCall.observations)
+        .join('\n');
+
+      const finalAnswerCall = logEntry.toolCalls.find(toolCall => toolCall.name === 'final_answer');
+      if (finalAnswerCall) {
+        const toolArguments = finalAnswerCall.arguments;
         let answer = toolArguments;
         if (typeof toolArguments === 'object' && 'answer' in toolArguments) {
           answer = toolArguments.answer;
@@ -671,23 +1124,114 @@ export class ToolCallingAgent extends MultiStepAgent {
         return answer;
       }
 
-      const observation = await this.executeToolCall(toolName, toolArguments);
+      return null;
+
+    } catch (e) {
+      if (e instanceof AgentParsingError) {
+        throw e;
+      }
+      throw new AgentGenerationError(`Error in generating tool call with model:\n${e}`);
+    }
+  }
+
+  async generateToolCalls(logEntry) {
+    const tools = Array.from(this.toolbox.tools.values());
+    const availableTools = tools.map(tool => {
+      if (typeof tool === 'function') {
+        return {
+          name: tool.name || 'unnamed_tool',
+          description: tool.description || '',
+          parameters: tool.parameters || {}
+        };
+      }
+      
+      if (tool instanceof Tool) {
+        const { name, description, parameters } = getJsonSchema(tool).function;
+        return { name, description, parameters };
+      }
+
+      console.warn('Invalid tool object:', tool);
+      return null;
+    }).filter(Boolean);
+
+    if (availableTools.length === 0) {
+      throw new Error('No valid tools available');
+    }
+
+    console.log('Available tools:', JSON.stringify(availableTools, null, 2));
+
+    if (!this.capabilities.nativeTools) {
+      return this.generateTextToolCalls();
+    }
+    const message = await this.generateMessage(this.inputMessages, {
+      stopSequences: ["Observation:"],
+      tools: availableTools,
+      stream: this.streamOutputs
+    });
+    this.emitEvent(AgentEventType.MODEL_OUTPUT, { content: message.content, toolCalls: message.toolCalls });
+    if (message.toolCalls.length > 0) {
+      return message.toolCalls;
+    }
+    // Some models write the call as text even when given tools
+    if (message.content?.trim()) {
+      return [this.parseAction(message.content)];
+    }
+    throw new Error('No tool call in the model response.');
+  }
+
+  // Models without native tool calling write the call as a JSON blob, as
+  // described in the system prompt.
+  async generateTextToolCalls() {
+    const llmOutput = await this.generateText(this.inputMessages, { stopSequences: ["Observation:"], stream: this.streamOutputs });
+    this.emitEvent(AgentEventType.MODEL_OUTPUT, { content: llmOutput });
+    return [this.parseAction(llmOutput)];
+  }
+
+  parseAction(llmOutput) {
+    const actionIndex = llmOutput.lastIndexOf('Action:');
+    const action = actionIndex === -1 ? llmOutput : llmOutput.slice(actionIndex + 'Action:'.length);
+    const [toolName, toolArguments] = parseJsonToolCall(action);
+    return {
+      id: null,
+      name: toolName === 'finalAnswer' ? 'final_answer' : toolName,
+      arguments: toolArguments ?? {}
+    };
+  }
+
+  async runToolCall(toolCall) {
+    try {
+      const observation = await this.executeToolCall(toolCall.name, toolCall.arguments, toolCall);
       let updatedInformation;
+      const images = Array.isArray(observation) && this.capabilities.vision
+        ? await getObservationImages(observation)
+        : [];
 
-      if (observation instanceof AgentImage) {
+      if (await isAgentImage(observation)) {
         const observationName = 'image.png';
         this.state[observationName] = observation;
+        if (this.capabilities.vision) {
+          toolCall.images = await getObservationImages(observation);
+        }
         updatedInformation = `Stored '${observationName}' in memory.`;
+      } else if (images.length > 0) {
+        toolCall.images = images;
+        updatedInformation = `Returned ${toolCall.images.length} image(s), shown below.`;
       } else {
         updatedInformation = String(observation).trim();
       }
 
       console.log(`Observations: ${updatedInformation}`);
-      logEntry.observations = updatedInformation;
-      return null;
-
+      toolCall.observations = updatedInformation;
+      this.emitEvent(AgentEventType.OBSERVATION, {
+        toolCallId: toolCall.id,
+        observation: updatedInformation
+      });
     } catch (e) {
-      throw new AgentGenerationError(`Error in generating tool call with model:\n${e}`);
+      if (this.runSignal?.aborted) {
+        throw e;
+      }
+      toolCall.error = e;
+      this.emitEvent(AgentEventType.ERROR, { toolCallId: toolCall.id, error: e });
     }
   }
 
@@ -699,50 +1243,127 @@ export class ToolCallingAgent extends MultiStepAgent {
       content: this.systemPrompt
     });
 
-    for (const log of this.logs) {
-      if (log.task) {
-        memory.push({
-          role: MessageRole.USER,
-          content: log.task
-        });
-      }
-
-      if (log.llmOutput && !summaryMode) {
+    for (const stepLog of this.logs) {
+      if (stepLog instanceof SummaryStep) {
         memory.push({
           role: MessageRole.ASSISTANT,
-          content: log.llmOutput
+          content: `[SUMMARY OF EARLIER STEPS]:\n${stepLog.summary}`
         });
-      }
-
-      if (log.toolCall) {
+      } else if (stepLog instanceof PlanningStep) {
         memory.push({
           role: MessageRole.ASSISTANT,
-          content: JSON.stringify([{
-            id: log.toolCall.id,
-            type: "function",
-            function: {
-              name: log.toolCall.name,
-              arguments: log.toolCall.arguments
-            }
-          }])
+          content: `[FACTS LIST]:\n${stepLog.facts.trim()}`
         });
 
-        if (log.observations) {
+        if (!summaryMode) {
           memory.push({
-            role: MessageRole.TOOL_RESPONSE,
-            content: `Call id: ${log.toolCall.id}\nObservation: ${log.observations}`
+            role: MessageRole.ASSISTANT,
+            content: `[PLAN]:\n${stepLog.plan.trim()}`
           });
         }
+      } else if (stepLog instanceof TaskStep) {
+        memory.push({
+          role: MessageRole.USER,
+          content: withImages(stepLog.task, stepLog.images)
+        });
+      } else if (stepLog instanceof ActionStep) {
+        memory.push(...this.writeActionStepMemory(stepLog, summaryMode));
+      }
+    }
 
-        if (log.error) {
-          memory.push({
-            role: MessageRole.TOOL_RESPONSE,
-            content: `Call id: ${log.toolCall.id}\nError: ${log.error}\nNow let's retry: take care not to repeat previous errors! If you have retried several times, try a completely different approach.`
-          });
-        }
+    return memory;
+  }
+}
+
+// For models without native tool calling: the model writes each call as a JSON
+// blob after 'Action:', which is parsed from its text output. When the blob
+// cannot be parsed, the error is shown to the model at the next step.
+export class JsonAgent extends ToolCallingAgent {
+  constructor({
+    tools,
+    model,
+    systemPrompt = JSON_SYSTEM_PROMPT,
+    ...rest
+  }) {
+    super({
+      tools,
+      model,
+      systemPrompt,
+      ...rest
+    });
+  }
+
+  async generateToolCalls(logEntry) {
+    const llmOutput = await this.generateText(this.inputMessages, {
+      stopSequences: ["<end_action>", "Observation:"],
+      grammar: this.grammar,
+      stream: this.streamOutputs
+    });
+    logEntry.llmOutput = llmOutput;
+    this.emitEvent(AgentEventType.MODEL_OUTPUT, { content: llmOutput });
+
+    if (this.verbose) {
+      console.log('Output message of the LLM:', llmOutput);
+    }
+
+    return [this.parseAction(llmOutput)];
+  }
+
+  parseAction(llmOutput) {
+    try {
+      return super.parseAction(llmOutput);
+    } catch (e) {
+      throw new AgentParsingError(`Could not parse the action in your output: ${e.message}
+Write a single JSON blob after 'Action:', like this:
+Action:
+{
+  "action": "tool_name",
+  "action_input": {"argument_name": "value"}
+}<end_action>`);
+    }
+  }
+
+  // Plain text models get their own outputs back, then the observations and
+  // errors as user messages.
+  writeActionStepMemory(stepLog, summaryMode = false) {
+    const memory = [];
+
+    if (stepLog.llmOutput && !summaryMode) {
+      memory.push({
+        role: MessageRole.ASSISTANT,
+        content: stepLog.llmOutput.trim()
+      });
+    } else if (stepLog.toolCalls.length > 0) {
+      memory.push({
+        role: MessageRole.ASSISTANT,
+        content: stepLog.toolCalls.map(toolCall => `Action:\n${JSON.stringify({
+          action: toolCall.name,
+          action_input: toolCall.arguments
+        }, null, 2)}`).join('\n')
+      });
+    }
+
+    for (const toolCall of stepLog.toolCalls) {
+      if (toolCall.error) {
+        memory.push({
+          role: MessageRole.TOOL_RESPONSE,
+          content: `Error:\n${toolCall.error}\n${RETRY_MESSAGE}`
+        });
+      } else if (toolCall.observations !== undefined && toolCall.observations !== null) {
+        memory.push({
+          role: MessageRole.TOOL_RESPONSE,
+          content: withImages(`Observation:\n${toolCall.observations}`, toolCall.images)
+        });
       }
     }
 
+    if (stepLog.error) {
+      memory.push({
+        role: MessageRole.TOOL_RESPONSE,
+        content: `Error:\n${stepLog.error}\n${RETRY_MESSAGE}`
+      });
+    }
+
     return memory;
   }
 }
@@ -755,39 +1376,50 @@ export class CodeAgent extends MultiStepAgent {
     grammar = null,
     additionalAuthorizedImports = null,
     planningInterval = null,
+    addBaseTools = false,
     ...rest
   }) {
+    // The agent already runs code, so it does not need the interpreter as a tool
+    const baseToolOptions = addBaseTools === true ? {} : addBaseTools;
     super({
-      tools,
+      tools: withFinalAnswerTool(tools),
       model,
       systemPrompt,
       grammar,
       planningInterval,
+      addBaseTools: addBaseTools && {
+        ...baseToolOptions,
+        exclude: [...(baseToolOptions.exclude ?? []), 'javascript_interpreter']
+      },
       ...rest
     });
 
     this.additionalAuthorizedImports = additionalAuthorizedImports || [];
 
-    const allTools = {
-      ...this.toolbox.tools,
-      ...this.managedAgents
-    };
+    // The code calls tools and managed agents with their arguments as an
+    // object, as in final_answer({ answer }), under the signal of the current run
+    const allTools = Object.fromEntries(
+      [...this.toolbox.tools, ...Object.entries(this.managedAgents)].map(([name, tool]) => [
+        name,
+        args => tool.__call__(args, { sanitizeInputsOutputs: true, signal: this.runSignal })
+      ])
+    );
 
     this.javascriptExecutor = new LocalNodeInterpreter(
-    this.additionalAuthorizedImports,
-    allTools
+      this.additionalAuthorizedImports,
+      allTools
     );
 
     this.authorizedImports = [
       ...new Set([...BASE_BUILTIN_MODULES, ...this.additionalAuthorizedImports])
     ];
 
-    if (!this.systemPrompt.includes('{{authorized_imports}}')) {
-      throw new Error("Tag '{{authorized_imports}}' should be provided in the prompt.");
+    if (!this.systemPrompt.includes('{{authorizedImports}}')) {
+      throw new Error("Tag '{{authorizedImports}}' should be provided in the prompt.");
     }
 
     this.systemPrompt = this.systemPrompt.replace(
-      '{{authorized_imports}}',
+      '{{authorizedImports}}',
       JSON.stringify(this.authorizedImports)
     );
   }
@@ -798,34 +1430,54 @@ export class CodeAgent extends MultiStepAgent {
     logEntry.agentMemory = [...agentMemory];
 
     try {
-      const additionalArgs = this.grammar ? { grammar: this.grammar } : {};
-      const llmOutput = await this.model(
-        this.inputMessages,
-        {
-          stopSequences: ["<end_action>", "Observation:"],
-          ...additionalArgs
-        }
-      );
+      const llmOutput = await this.generateText(this.inputMessages, {
+        stopSequences: ["<end_action>", "Observation:"],
+        grammar: this.grammar,
+        stream: this.streamOutputs
+      });
       logEntry.llmOutput = llmOutput;
+      this.emitEvent(AgentEventType.MODEL_OUTPUT, { content: llmOutput });
 
       if (this.verbose) {
         console.log('Output message of the LLM:', llmOutput);
       }
 
-      const codeAction = parseCodeBlob(llmOutput);
-      logEntry.toolCall = {
+      let codeAction = parseCodeBlob(llmOutput);
+      const toolCall = {
         name: "javascript_interpreter",
         arguments: codeAction,
         id: `call_${this.logs.length}`
       };
+      logEntry.toolCalls = [toolCall];
+
+      const approval = await this.requestApproval(ApprovalTarget.CODE, 'javascript_interpreter', codeAction);
+      toolCall.approval = approval;
+      if (approval.decision === ApprovalDecision.REJECT) {
+        const rejection = formatRejection(ApprovalTarget.CODE, 'javascript_interpreter', approval.reason);
+        this.emitEvent(AgentEventType.TOOL_CALL, { toolCall });
+        toolCall.observations = rejection;
+        logEntry.observations = rejection;
+        this.emitEvent(AgentEventType.OBSERVATION, {
+          toolCallId: toolCall.id,
+          observation: rejection
+        });
+        return null;
+      }
+      if (approval.decision === ApprovalDecision.EDIT) {
+        codeAction = approval.arguments;
+        toolCall.arguments = codeAction;
+      }
 
+      this.runSignal?.throwIfAborted();
       console.log('Executing this code:', codeAction);
+      this.emitEvent(AgentEventType.TOOL_CALL, { toolCall });
 
       let observation = '';
       try {
-        const [output, executionLogs] = await this.javascriptExecutor(
+        const [output, executionLogs] = await this.javascriptExecutor.__call__(
           codeAction,
-          this.state
+          this.state,
+          { signal: this.runSignal, timeout: this.getRemainingRunTime() }
         );
 
         if (executionLogs.length > 0) {
@@ -835,10 +1487,19 @@ export class CodeAgent extends MultiStepAgent {
 
         const truncatedOutput = truncateContent(String(output));
         observation += `Last output from code snippet:\n${truncatedOutput}`;
+        const images = this.capabilities.vision ? await getObservationImages(output) : [];
+        if (images.length > 0) {
+          toolCall.images = images;
+        }
+        toolCall.observations = observation;
         logEntry.observations = observation;
+        this.emitEvent(AgentEventType.OBSERVATION, {
+          toolCallId: toolCall.id,
+          observation
+        });
 
-        const isFinalAnswer = codeAction.split('\n').some(line => 
-          line.trim().startsWith('final_answer')
+        const isFinalAnswer = codeAction.split('\n').some(line =>
+          /^(?:await\s+)?final_answer\b/.test(line.trim())
         );
 
         console.log(`${isFinalAnswer ? 'Out - Final answer' : 'Out'}: ${truncatedOutput}`);
@@ -892,6 +1553,9 @@ export class ManagedAgent {
   }
 
   async __call__(request, kwargs = {}) {
+    if (typeof request === 'object' && request !== null) {
+      request = request.request;
+    }
     const fullTask = this.writeFullTask(request);
     const output = await this.agent.run(fullTask, kwargs);
 
@@ -0,0 +1,41 @@
+export const ApprovalDecision = {
+  APPROVE: 'approve',
+  REJECT: 'reject',
+  EDIT: 'edit'
+};
+
+export const ApprovalTarget = {
+  TOOL: 'tool',
+  MANAGED_AGENT: 'managed_agent',
+  CODE: 'code'
+};
+
+// Approval policies may answer with a boolean for the simple cases, or with
+// { decision, reason, arguments } to reject with a reason or edit the call.
+export function normalizeApproval(result) {
+  if (result === undefined || result === null || result === true) {
+    return { decision: ApprovalDecision.APPROVE };
+  }
+  if (result === false) {
+    return { decision: ApprovalDecision.REJECT, reason: 'No reason given.' };
+  }
+  if (typeof result !== 'object' || !Object.values(ApprovalDecision).includes(result.decision)) {
+    throw new Error(
+      `Approval policy returned an invalid result: ${JSON.stringify(result)}. Expected a boolean or an object with a decision among ${Object.values(ApprovalDecision)}.`
+    );
+  }
+  if (result.decision === ApprovalDecision.EDIT && !('arguments' in result)) {
+    throw new Error('Approval policy returned an edit decision without new arguments.');
+  }
+  if (result.decision === ApprovalDecision.REJECT) {
+    return { ...result, reason: result.reason || 'No reason given.' };
+  }
+  return result;
+}
+
+export function formatRejection(target, name, reason) {
+  const subject = target === ApprovalTarget.CODE
+    ? 'The code action'
+    : `The call to '${name}'`;
+  return `${subject} was rejected by the approval policy and was not executed. Reason: ${reason}\nTake this into account and try another approach.`;
+}
@@ -0,0 +1,64 @@
+// What a model can do. Model classes declare what their API supports in a
+// static `capabilities` field, the registry below adds what depends on the
+// model itself, and users can override both with `model.withCapabilities()`.
+export const DEFAULT_CAPABILITIES = {
+  contextWindow: 8192,
+  maxOutputTokens: 4096,
+  nativeTools: false,
+  parallelTools: false,
+  vision: false,
+  // Regex-constrained generation
+  grammar: false,
+  // JSON-schema-constrained generation
+  jsonSchema: false,
+  streaming: false,
+  stopSequences: true
+};
+
+// Matched against the model id, the first matching entry wins.
+const MODEL_CAPABILITY_REGISTRY = [
+  [/gpt-4o|gpt-4\.1|gpt-4-turbo/i, { contextWindow: 128000, maxOutputTokens: 16384, vision: true }],
+  [/\bo[134](-mini)?\b/i, { contextWindow: 200000, maxOutputTokens: 100000, stopSequences: false }],
+  [/gpt-3\.5/i, { contextWindow: 16385, maxOutputTokens: 4096 }],
+  [/claude-3-5|claude-3-7|claude-(sonnet|opus|haiku)-4/i, { contextWindow: 200000, maxOutputTokens: 8192, vision: true }],
+  [/claude/i, { contextWindow: 200000, maxOutputTokens: 4096, vision: true }],
+  [/qwen2\.5-vl|qwen2-vl/i, { contextWindow: 32768, vision: true }],
+  [/qwen2\.5/i, { contextWindow: 32768 }],
+  [/llama-?3\.2-?(11|90)b-vision|llava|llama3\.2-vision/i, { contextWindow: 128000, vision: true }],
+  [/llama-?3\.[123]/i, { contextWindow: 128000 }],
+  [/mistral|mixtral/i, { contextWindow: 32768 }],
+  [/smollm/i, { contextWindow: 8192, maxOutputTokens: 2048 }]
+];
+
+export function registerModelCapabilities(pattern, capabilities) {
+  MODEL_CAPABILITY_REGISTRY.unshift([pattern, capabilities]);
+}
+
+export function lookupModelCapabilities(modelId) {
+  if (!modelId) {
+    return {};
+  }
+  const entry = MODEL_CAPABILITY_REGISTRY.find(([pattern]) => pattern.test(modelId));
+  return entry ? entry[1] : {};
+}
+
+// Agents also accept plain objects implementing `generate` as models: they are
+// assumed to answer in text only, unless they declare their capabilities.
+export function getModelCapabilities(model) {
+  if (typeof model?.getCapabilities === 'function') {
+    return model.getCapabilities();
+  }
+  return {
+    ...DEFAULT_CAPABILITIES,
+    ...lookupModelCapabilities(model?.modelId),
+    streaming: typeof model?.generateStream === 'function',
+    ...model?.capabilities
+  };
+}
+
+export function supportsGrammar(capabilities, grammar) {
+  if (!grammar) {
+    return true;
+  }
+  return grammar.type === 'regex' ? capabilities.grammar : capabilities.jsonSchema;
+}
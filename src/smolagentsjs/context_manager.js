@@ -0,0 +1,153 @@
+import { MessageRole, getTextContent, getImageParts } from './models.js';
+import { ActionStep, PlanningStep, SummaryStep } from './steps.js';
+import { truncateContent } from './utils.js';
+import { getModelCapabilities } from './capabilities.js';
+
+const SUMMARY_SYSTEM_PROMPT = `You are compacting the memory of an agent that is solving a task step by step.
+Summarize the steps below so that the agent can continue working without them.
+Keep every fact, intermediate result, file name, variable name and error that may still be useful, and state which approaches already failed.
+Do not invent anything and do not try to solve the task yourself.`;
+
+export class ContextManager {
+  constructor({
+    contextWindow = null,
+    threshold = 0.75,
+    keepLastSteps = 3,
+    charsPerToken = 4,
+    imageTokens = 765,
+    summaryMaxTokens = 1000
+  } = {}) {
+    this.contextWindow = contextWindow;
+    this.threshold = threshold;
+    this.keepLastSteps = keepLastSteps;
+    this.charsPerToken = charsPerToken;
+    this.imageTokens = imageTokens;
+    this.summaryMaxTokens = summaryMaxTokens;
+  }
+
+  getContextWindow(model) {
+    return this.contextWindow || getModelCapabilities(model).contextWindow;
+  }
+
+  estimateTokens(messages, model = null) {
+    if (typeof model?.countTokens === 'function') {
+      return model.countTokens(messages);
+    }
+    let characters = 0;
+    let imageCount = 0;
+    for (const message of messages) {
+      imageCount += getImageParts(message.content).length;
+      // A few extra tokens per message account for role markers in chat templates
+      characters += getTextContent(message.content).length + 4 * this.charsPerToken;
+    }
+    return Math.ceil(characters / this.charsPerToken) + imageCount * this.imageTokens;
+  }
+
+  shouldCompact(messages, model) {
+    return this.estimateTokens(messages, model) > this.threshold * this.getContextWindow(model);
+  }
+
+  // Action steps older than the last `keepLastSteps`, plus every plan but the
+  // latest one and previous summaries, get folded into a single summary step.
+  selectStepsToSummarize(logs) {
+    const actionIndices = [];
+    const planIndices = [];
+    const summaryIndices = [];
+    logs.forEach((stepLog, index) => {
+      if (stepLog instanceof SummaryStep) {
+        summaryIndices.push(index);
+      } else if (stepLog instanceof PlanningStep) {
+        planIndices.push(index);
+      } else if (stepLog instanceof ActionStep) {
+        actionIndices.push(index);
+      }
+    });
+
+    const oldActions = actionIndices.slice(0, Math.max(0, actionIndices.length - this.keepLastSteps));
+    if (oldActions.length === 0) {
+      return [];
+    }
+    const lastOldAction = oldActions[oldActions.length - 1];
+    const oldPlans = planIndices.slice(0, -1).filter(index => index < lastOldAction);
+    const oldSummaries = summaryIndices.filter(index => index < lastOldAction);
+    return [...oldSummaries, ...oldPlans, ...oldActions].sort((a, b) => a - b);
+  }
+
+  renderStep(stepLog) {
+    if (stepLog instanceof SummaryStep) {
+      return `Summary of earlier steps:\n${stepLog.summary}`;
+    }
+    if (stepLog instanceof PlanningStep) {
+      return `${stepLog.facts}\n${stepLog.plan}`;
+    }
+
+    const parts = [`Step ${stepLog.iteration ?? '?'}:`];
+    if (stepLog.llmOutput) {
+      parts.push(`Model output:\n${stepLog.llmOutput}`);
+    }
+    for (const toolCall of stepLog.toolCalls) {
+      parts.push(`Called '${toolCall.name}' with: ${JSON.stringify(toolCall.arguments)}`);
+      if (toolCall.observations) {
+        parts.push(`Observation: ${toolCall.observations}`);
+      }
+      if (toolCall.error) {
+        parts.push(`Error: ${toolCall.error}`);
+      }
+    }
+    if (stepLog.error) {
+      parts.push(`Error: ${stepLog.error}`);
+    }
+    return truncateContent(parts.join('\n'));
+  }
+
+  async compact(agent) {
+    const indices = this.selectStepsToSummarize(agent.logs);
+    if (indices.length === 0) {
+      return false;
+    }
+
+    const stepsToSummarize = indices.map(index => agent.logs[index]);
+    const messages = [
+      { role: MessageRole.SYSTEM, content: SUMMARY_SYSTEM_PROMPT },
+      {
+        role: MessageRole.USER,
+        content: `Task:\n${agent.task}\n\nSteps to summarize:\n\n${stepsToSummarize.map(stepLog => this.renderStep(stepLog)).join('\n\n')}`
+      }
+    ];
+    const summary = await agent.generateText(messages, {
+      maxTokens: this.summaryMaxTokens,
+      purpose: 'summary'
+    });
+
+    const summaryStep = new SummaryStep({
+      summary: summary.trim(),
+      summarizedSteps: stepsToSummarize.reduce(
+        (total, stepLog) => total + (stepLog instanceof SummaryStep ? stepLog.summarizedSteps : 1),
+        0
+      ),
+      inputTokenCount: agent.model.lastInputTokenCount,
+      outputTokenCount: agent.model.lastOutputTokenCount
+    });
+
+    const removed = new Set(indices);
+    const logs = [];
+    agent.logs.forEach((stepLog, index) => {
+      if (index === indices[0]) {
+        logs.push(summaryStep);
+      }
+      if (!removed.has(index)) {
+        logs.push(stepLog);
+      }
+    });
+    agent.logs = logs;
+    console.log(`Compacted ${indices.length} steps of agent memory into a summary.`);
+    return true;
+  }
+
+  async compactIfNeeded(agent) {
+    if (!this.shouldCompact(agent.writeInnerMemoryFromLogs(), agent.model)) {
+      return false;
+    }
+    return this.compact(agent);
+  }
+}
@@ -1,7 +1,10 @@
 import { createInterface } from 'node:readline';
-import { Tool } from './tools.js';
+import { createRequire } from 'node:module';
+import { Tool, registerBaseTool } from './tools.js';
 import { LocalNodeInterpreter } from './local_nodejs_executor.js';
 
+const require = createRequire(import.meta.url);
+
 export class JavaScriptInterpreterTool extends Tool {
   constructor() {
     super({
@@ -19,9 +22,8 @@ export class JavaScriptInterpreterTool extends Tool {
     this.interpreter = new LocalNodeInterpreter();
   }
 
-  async __call__(args) {
-    const code = args.code;
-    const [output, logs] = await this.interpreter(code);
+  async forward({ code }, { signal = null } = {}) {
+    const [output, logs] = await this.interpreter.__call__(code, {}, { signal });
     if (logs && logs.length > 0) {
       return `Logs:\n${logs.join('\n')}\nOutput: ${output}`;
     }
@@ -40,7 +42,7 @@ export class FinalAnswerTool extends Tool {
   };
   static outputType = 'any';
 
-  async forward(answer) {
+  async forward({ answer }) {
     return answer;
   }
 }
@@ -56,7 +58,7 @@ export class UserInputTool extends Tool {
   };
   static outputType = 'string';
 
-  async forward(question) {
+  async forward({ question }) {
     const readline = createInterface({
       input: process.stdin,
       output: process.stdout
@@ -94,7 +96,7 @@ Each result has keys 'title', 'href' and 'body'.`;
     }
   }
 
-  async forward(query) {
+  async forward({ query }) {
     const results = await this.ddgs.search(query, { max_results: 10 });
     const postprocessedResults = results.map(result => 
       `[${result.title}](${result.href})\n${result.body}`
@@ -124,7 +126,7 @@ export class GoogleSearchTool extends Tool {
     this.serpapiKey = process.env.SERPAPI_API_KEY;
   }
 
-  async forward(query, filterYear = null) {
+  async forward({ query, filterYear = null }) {
     if (!this.serpapiKey) {
       throw new Error('Missing SerpAPI key. Make sure you have "SERPAPI_API_KEY" in your env variables.');
     }
@@ -201,7 +203,7 @@ export class VisitWebpageTool extends Tool {
     }
   }
 
-  async forward(url) {
+  async forward({ url }) {
     try {
       const response = await fetch(url);
       if (!response.ok) {
@@ -222,3 +224,9 @@ export class VisitWebpageTool extends Tool {
     }
   }
 }
+
+registerBaseTool('final_answer', () => new FinalAnswerTool());
+registerBaseTool('javascript_interpreter', () => new JavaScriptInterpreterTool());
+registerBaseTool('web_search', () => new DuckDuckGoSearchTool());
+registerBaseTool('visit_webpage', () => new VisitWebpageTool());
+registerBaseTool('user_input', () => new UserInputTool());
@@ -0,0 +1,77 @@
+export const AgentEventType = {
+  RUN_START: 'run_start',
+  PLANNING: 'planning',
+  MODEL_OUTPUT: 'model_output',
+  MODEL_OUTPUT_DELTA: 'model_output_delta',
+  TOOL_CALL: 'tool_call',
+  OBSERVATION: 'observation',
+  ERROR: 'error',
+  FINAL_ANSWER: 'final_answer',
+  RUN_END: 'run_end',
+
+  types() {
+    return Object.values(this).filter(type => typeof type === 'string');
+  }
+};
+
+export class AgentEvent {
+  constructor(type, payload = {}) {
+    if (!AgentEventType.types().includes(type)) {
+      throw new Error(`Incorrect event type ${type}, only ${AgentEventType.types()} are supported for now.`);
+    }
+    this.type = type;
+    this.timestamp = Date.now();
+    Object.assign(this, payload);
+  }
+}
+
+// Turns push-style emission from the run loop into an async iterator, so that
+// streamRun can yield events while the loop is still working on a step.
+export class EventChannel {
+  constructor() {
+    this.queue = [];
+    this.waiting = null;
+    this.closed = false;
+    this.failure = null;
+  }
+
+  push(event) {
+    if (this.closed) {
+      return;
+    }
+    this.queue.push(event);
+    this.wake();
+  }
+
+  close(error = null) {
+    this.closed = true;
+    this.failure = error;
+    this.wake();
+  }
+
+  wake() {
+    if (this.waiting) {
+      const resolve = this.waiting;
+      this.waiting = null;
+      resolve();
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    while (true) {
+      if (this.queue.length > 0) {
+        yield this.queue.shift();
+        continue;
+      }
+      if (this.closed) {
+        if (this.failure) {
+          throw this.failure;
+        }
+        return;
+      }
+      await new Promise(resolve => {
+        this.waiting = resolve;
+      });
+    }
+  }
+}
@@ -0,0 +1,52 @@
+import fs from 'node:fs';
+
+// types.js loads sharp and tfjs-node, which agents that never handle images
+// should not need. An AgentImage only exists once its creator loaded types.js,
+// so it is imported lazily, and only for values that look like agent types.
+let agentImageClass = null;
+
+function getAgentImageClass() {
+  agentImageClass ??= import('./types.js').then(module => module.AgentImage);
+  return agentImageClass;
+}
+
+export async function isAgentImage(value) {
+  if (typeof value?.toRaw !== 'function') {
+    return false;
+  }
+  const AgentImage = await getAgentImageClass();
+  return value instanceof AgentImage;
+}
+
+export async function filterAgentImages(values) {
+  const images = [];
+  for (const value of values) {
+    if (await isAgentImage(value)) {
+      images.push(value);
+    }
+  }
+  return images;
+}
+
+// Reads the same sources as AgentImage. Only other values, such as tensors,
+// need types.js.
+export async function loadImageBytes(image) {
+  if (await isAgentImage(image)) {
+    return image.toRaw();
+  }
+  if (Buffer.isBuffer(image)) {
+    return image;
+  }
+  if (typeof image === 'string' && image.includes('://')) {
+    const response = await fetch(image);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+  if (typeof image === 'string') {
+    return fs.promises.readFile(image);
+  }
+  const AgentImage = await getAgentImageClass();
+  return new AgentImage(image).toRaw();
+}
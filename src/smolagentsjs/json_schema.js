@@ -0,0 +1,246 @@
+// A small JSON Schema validator covering the subset of keywords that agents and
+// tools rely on. It returns a list of readable error messages, meant to be sent
+// back to the model so that it can correct itself.
+
+const JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+export function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actualType = getJsonType(value);
+  if (type === 'number') {
+    return actualType === 'number' || actualType === 'integer';
+  }
+  return actualType === type;
+}
+
+function formatPath(path) {
+  return path || 'value';
+}
+
+export function validateJsonSchema(value, schema, path = '') {
+  if (schema === true || schema === undefined || schema === null) {
+    return [];
+  }
+  if (schema === false) {
+    return [`${formatPath(path)} is not allowed.`];
+  }
+
+  const errors = [];
+  const where = formatPath(path);
+
+  if (value === null && schema.nullable) {
+    return [];
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    for (const type of types) {
+      if (!JSON_TYPES.includes(type)) {
+        throw new Error(`Unsupported JSON Schema type '${type}' at ${where}.`);
+      }
+    }
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${where} should be of type ${types.join(' or ')}, got ${getJsonType(value)}.`];
+    }
+  }
+
+  if ('const' in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    errors.push(`${where} should be equal to ${JSON.stringify(schema.const)}.`);
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${where} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}.`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where} should have at least ${schema.minLength} characters.`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${where} should have at most ${schema.maxLength} characters.`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${where} should match the pattern ${schema.pattern}.`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${where} should be >= ${schema.minimum}.`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${where} should be <= ${schema.maximum}.`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${where} should be > ${schema.exclusiveMinimum}.`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${where} should be < ${schema.exclusiveMaximum}.`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where} should have at least ${schema.minItems} items.`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${where} should have at most ${schema.maxItems} items.`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateJsonSchema(item, schema.items, `${where}[${index}]`));
+      });
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${where} is missing the required property '${key}'.`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (key in properties) {
+        errors.push(...validateJsonSchema(propertyValue, properties[key], propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where} has an unexpected property '${key}'.`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, propertyPath));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateJsonSchema(value, subschema, path));
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateJsonSchema(value, subschema, path).length === 0)) {
+    errors.push(`${where} does not match any of the allowed schemas.`);
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => validateJsonSchema(value, subschema, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${where} should match exactly one of the allowed schemas, matched ${matches}.`);
+    }
+  }
+
+  return errors;
+}
+
+function getSchemaTypes(schema) {
+  if (schema.type === undefined) {
+    return [];
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function isPlainObject(value) {
+  if (getJsonType(value) !== 'object') {
+    return false;
+  }
+  // Objects created by the code of CodeAgent come from another realm, with
+  // another Object.prototype
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === null || Object.getPrototypeOf(prototype) === null;
+}
+
+function coerceString(value, types) {
+  const trimmed = value.trim();
+  if ((types.includes('number') || types.includes('integer')) && trimmed !== '' && Number.isFinite(Number(trimmed))) {
+    const number = Number(trimmed);
+    if (types.includes('number') || Number.isInteger(number)) {
+      return number;
+    }
+  }
+  if (types.includes('boolean') && ['true', 'false'].includes(trimmed)) {
+    return trimmed === 'true';
+  }
+  if (types.includes('null') && trimmed === 'null') {
+    return null;
+  }
+  if ((types.includes('object') || types.includes('array')) && /^[[{]/.test(trimmed)) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (types.some(type => matchesType(parsed, type))) {
+        return parsed;
+      }
+    } catch {
+      // Not JSON, leave it to validation to report the mismatch
+    }
+  }
+  return value;
+}
+
+// Fixes the near misses models commonly make before validation: numbers and
+// booleans written as strings, objects and arrays passed as JSON strings, and
+// missing properties that have a default. The value is not modified in place.
+export function coerceJsonSchema(value, schema) {
+  if (typeof schema !== 'object' || schema === null) {
+    return value;
+  }
+  if (value === undefined) {
+    return 'default' in schema ? structuredClone(schema.default) : value;
+  }
+
+  const types = getSchemaTypes(schema);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    if (typeof value === 'string') {
+      value = coerceString(value, types);
+    } else if ((typeof value === 'number' || typeof value === 'boolean') && types.includes('string')) {
+      value = String(value);
+    }
+  }
+
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (alternatives && !alternatives.some(subschema => validateJsonSchema(value, subschema).length === 0)) {
+    for (const subschema of alternatives) {
+      const coerced = coerceJsonSchema(value, subschema);
+      if (validateJsonSchema(coerced, subschema).length === 0) {
+        return coerced;
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map(item => coerceJsonSchema(item, schema.items));
+  }
+
+  if (isPlainObject(value) && (schema.properties || typeof schema.additionalProperties === 'object')) {
+    const properties = schema.properties || {};
+    const result = {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (key in properties) {
+        result[key] = coerceJsonSchema(propertyValue, properties[key]);
+      } else if (typeof schema.additionalProperties === 'object') {
+        result[key] = coerceJsonSchema(propertyValue, schema.additionalProperties);
+      } else {
+        result[key] = propertyValue;
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (!(key in result) && typeof propertySchema === 'object' && 'default' in propertySchema) {
+        result[key] = structuredClone(propertySchema.default);
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
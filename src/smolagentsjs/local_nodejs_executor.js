@@ -1,11 +1,14 @@
 import vm from 'node:vm';
 import { Console } from 'node:console';
 import { Writable } from 'node:stream';
+import * as acorn from 'acorn';
 import { truncateContent } from './utils.js';
 
 // Constants
 const MAX_LEN_OUTPUT = 50000;
 const MAX_OPERATIONS = 10000000;
+const MAX_EXECUTION_TIME_MS = 5000;
+const DRAIN_INTERVAL_MS = 5;
 
 // Base built-in modules that are safe to use
 export const BASE_BUILTIN_MODULES = [
@@ -95,7 +98,76 @@ class OutputCapturer {
   }
 }
 
-export function evaluateCode(code, context = {}, options = {}) {
+// Tools are asynchronous, so code that awaits them at the top level runs in an
+// async function, whose return value is the last expression of the code. Its
+// promise is marked as handled right away: it can reject before evaluateCode
+// gets it, while the context runs its promise jobs.
+function wrapTopLevelAwait(code) {
+  const parseOptions = { ecmaVersion: 'latest', sourceType: 'script' };
+  try {
+    acorn.parse(code, parseOptions);
+    return code;
+  } catch (e) {
+    // Not top-level await, or invalid code: vm reports the syntax error
+  }
+
+  let ast;
+  try {
+    ast = acorn.parse(code, { ...parseOptions, allowAwaitOutsideFunction: true });
+  } catch (e) {
+    return code;
+  }
+  const lastStatement = ast.body.at(-1);
+  if (lastStatement?.type === 'ExpressionStatement') {
+    const { start, end } = lastStatement.expression;
+    code = `${code.slice(0, lastStatement.start)}return (${code.slice(start, end)});${code.slice(lastStatement.end)}`;
+  }
+  return `(promise => (promise.catch(() => {}), promise))((async () => {\n${code}\n})())`;
+}
+
+// The context runs its promise jobs only when it is entered again
+// (microtaskMode 'afterEvaluate'), so code after an await cannot run outside
+// the timeout. While the result is pending, the context is entered every few
+// milliseconds to run them, and the time they take is taken from the same
+// timeout. Waiting for tools does not count, but the signal stops it.
+const drainScript = new vm.Script('');
+
+function settleInContext(result, vmContext, { timeout, remaining, signal }) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => settle(reject, signal.reason);
+    const interval = setInterval(() => {
+      const start = Date.now();
+      try {
+        drainScript.runInContext(vmContext, { timeout: Math.max(1, remaining) });
+        remaining -= Date.now() - start;
+      } catch (error) {
+        if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+          settle(reject, error);
+          return;
+        }
+        remaining = 0;
+      }
+      if (remaining <= 0) {
+        settle(reject, new Error(`Script execution timed out after ${timeout}ms`));
+      }
+    }, DRAIN_INTERVAL_MS);
+    const settle = (callback, value) => {
+      clearInterval(interval);
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(result).then(value => settle(resolve, value), error => settle(reject, error));
+  });
+}
+
+export async function evaluateCode(code, context = {}, options = {}) {
+  options.signal?.throwIfAborted();
   const outputCapturer = new OutputCapturer();
   
   // Create a secure context with limited access to globals
@@ -107,23 +179,32 @@ export function evaluateCode(code, context = {}, options = {}) {
   };
 
   // Create VM context
-  const vmContext = vm.createContext(sandbox);
+  const vmContext = vm.createContext(sandbox, { microtaskMode: 'afterEvaluate' });
 
   try {
     // Add operation counter to prevent infinite loops
     const script = new vm.Script(
       `const __operationsCount = 0;
-      ${code}`,
+      ${wrapTopLevelAwait(code)}`,
       { 
         filename: 'usercode.js',
         lineOffset: 0,
-        columnOffset: 0,
-        timeout: 5000 // 5 second timeout
+        columnOffset: 0
       }
     );
 
-    // Run the code
-    const result = script.runInContext(vmContext);
+    // Run the code. The signal cannot interrupt synchronous code, so the run's
+    // remaining time, when it has a budget, also bounds the execution.
+    const timeout = Math.ceil(Math.min(options.timeout ?? MAX_EXECUTION_TIME_MS, MAX_EXECUTION_TIME_MS));
+    const start = Date.now();
+    let result = script.runInContext(vmContext, { timeout });
+    if (typeof result?.then === 'function') {
+      result = await settleInContext(result, vmContext, {
+        timeout,
+        remaining: timeout - (Date.now() - start),
+        signal: options.signal
+      });
+    }
     
     // Store console output in state if provided
     if (context.state) {
@@ -173,11 +254,11 @@ export class LocalNodeInterpreter {
     };
   }
 
-  async __call__(codeAction, additionalVariables = {}) {
+  async __call__(codeAction, additionalVariables = {}, { signal = null, timeout = null } = {}) {
     this.state = { ...this.state, ...additionalVariables };
     
     try {
-      const output = evaluateCode(
+      const output = await evaluateCode(
         codeAction,
         {
           state: this.state,
@@ -185,7 +266,9 @@ export class LocalNodeInterpreter {
           ...this.customTools
         },
         {
-          authorizedImports: this.authorizedImports
+          authorizedImports: this.authorizedImports,
+          signal,
+          timeout
         }
       );
 
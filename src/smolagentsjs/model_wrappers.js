@@ -0,0 +1,777 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import {
+  Model,
+  ChatMessage,
+  ModelHTTPError,
+  getJsonSchema,
+  getCleanMessageList,
+  getTextContent,
+  toolRoleConversions
+} from './models.js';
+import { Tool } from './tools.js';
+import { DEFAULT_CAPABILITIES, getModelCapabilities, lookupModelCapabilities } from './capabilities.js';
+import { stableStringify } from './utils.js';
+
+function serializeTools(tools) {
+  return tools.map(tool => (tool instanceof Tool ? getJsonSchema(tool) : tool));
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+// Base class for models that add behaviour around another model. Every request
+// goes through `invoke`, and every stream through `invokeStream`, which
+// subclasses override; token counts of the wrapped model, and the id of the
+// model that answered, are copied over so that monitoring keeps working.
+export class ModelWrapper extends Model {
+  constructor(model) {
+    super();
+    this.model = model;
+    this.modelId = model?.modelId ?? null;
+  }
+
+  getCapabilities() {
+    const capabilities = this.model
+      ? getModelCapabilities(this.model)
+      : { ...DEFAULT_CAPABILITIES, ...lookupModelCapabilities(this.modelId) };
+    return { ...capabilities, ...this.capabilityOverrides };
+  }
+
+  generate(messages, options = {}) {
+    return this.invoke(messages, options);
+  }
+
+  async invoke(messages, options) {
+    return this.invokeModel(messages, options);
+  }
+
+  async invokeModel(messages, options, model = this.model) {
+    if (!model) {
+      throw new Error(`${this.constructor.name} has no model to forward the request to.`);
+    }
+    const message = await model.generate(messages, options);
+    this.copyModelStats(model);
+    return message;
+  }
+
+  generateStream(messages, options = {}) {
+    return this.invokeStream(messages, options);
+  }
+
+  invokeStream(messages, options) {
+    return this.streamModel(messages, options);
+  }
+
+  async *streamModel(messages, options, model = this.model) {
+    if (!model) {
+      throw new Error(`${this.constructor.name} has no model to forward the request to.`);
+    }
+    // Models without a stream of their own stream their complete answer
+    yield* typeof model.generateStream === 'function'
+      ? model.generateStream(messages, options)
+      : Model.prototype.generateStream.call(model, messages, options);
+    this.copyModelStats(model);
+  }
+
+  copyModelStats(model) {
+    this.lastInputTokenCount = model.lastInputTokenCount;
+    this.lastOutputTokenCount = model.lastOutputTokenCount;
+    this.lastModelId = model.lastModelId ?? model.modelId ?? null;
+  }
+}
+
+export class CassetteMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CassetteMismatchError';
+  }
+}
+
+export const CassetteMode = {
+  RECORD: 'record',
+  REPLAY: 'replay',
+  // Replays when the cassette file exists, records it otherwise
+  AUTO: 'auto'
+};
+
+const CASSETTE_VERSION = 2;
+
+// Only the parts of a message that the model sees are kept, so that cosmetic
+// differences (extra fields, trailing whitespace) do not break the matching.
+export function normalizeMessages(messages) {
+  return messages.map(message => {
+    const normalized = {
+      role: message.role,
+      content: typeof message.content === 'string' ? message.content.trim() : message.content ?? null
+    };
+    if (message.toolCalls) {
+      normalized.toolCalls = message.toolCalls.map(({ id, name, arguments: args }) => ({ id, name, arguments: args }));
+    }
+    if (message.toolCallId) {
+      normalized.toolCallId = message.toolCallId;
+    }
+    return normalized;
+  });
+}
+
+function describeDifference(actual, recorded) {
+  if (stableStringify(actual.params) !== stableStringify(recorded.params)) {
+    return `Request parameters differ.\nRecorded: ${stableStringify(recorded.params)}\nActual:   ${stableStringify(actual.params)}`;
+  }
+  const length = Math.max(actual.messages.length, recorded.messages.length);
+  for (let index = 0; index < length; index++) {
+    const actualMessage = stableStringify(actual.messages[index] ?? null);
+    const recordedMessage = stableStringify(recorded.messages[index] ?? null);
+    if (actualMessage !== recordedMessage) {
+      return `Message ${index} differs.\nRecorded: ${recordedMessage}\nActual:   ${actualMessage}`;
+    }
+  }
+  return 'The requests are identical, but the recorded response was already used.';
+}
+
+// Records model requests and responses to a JSON cassette file, and serves them
+// back in replay mode so that agent runs can be reproduced without calling the
+// model. A recorded response is used at most once, in the recorded order for
+// identical requests.
+export class CassetteModel extends ModelWrapper {
+  constructor({ cassettePath, model = null, mode = CassetteMode.AUTO }) {
+    super(model);
+    if (!Object.values(CassetteMode).includes(mode)) {
+      throw new Error(`Unknown cassette mode '${mode}', should be one of ${Object.values(CassetteMode)}.`);
+    }
+    this.cassettePath = cassettePath;
+    this.mode = mode === CassetteMode.AUTO
+      ? (fs.existsSync(cassettePath) ? CassetteMode.REPLAY : CassetteMode.RECORD)
+      : mode;
+
+    if (this.mode === CassetteMode.RECORD) {
+      if (!model) {
+        throw new Error('A model is required to record a cassette.');
+      }
+      this.interactions = [];
+    } else {
+      const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf-8'));
+      if (cassette.version !== CASSETTE_VERSION) {
+        throw new Error(`Unsupported cassette version ${cassette.version} in ${cassettePath}, expected ${CASSETTE_VERSION}.`);
+      }
+      this.interactions = cassette.interactions;
+      this.modelId = this.modelId ?? cassette.modelId;
+      this.recordedCapabilities = cassette.capabilities ?? null;
+    }
+    this.usedInteractions = new Set();
+  }
+
+  getCapabilities() {
+    if (!this.model && this.recordedCapabilities) {
+      return { ...this.recordedCapabilities, ...this.capabilityOverrides };
+    }
+    return super.getCapabilities();
+  }
+
+  buildRequest(messages, { stopSequences = null, grammar = null, maxTokens = null, temperature = null, tools = null }) {
+    const params = {
+      stopSequences: stopSequences || [],
+      grammar,
+      maxTokens,
+      temperature,
+      tools: tools ? serializeTools(tools) : null
+    };
+    return { params, messages: normalizeMessages(messages) };
+  }
+
+  // Interactions are recorded whole, so streams are replayed from `invoke`
+  invokeStream(messages, options) {
+    return Model.prototype.generateStream.call(this, messages, options);
+  }
+
+  async invoke(messages, options = {}) {
+    const cassetteRequest = this.buildRequest(messages, options);
+    const key = hashValue(cassetteRequest);
+    return this.mode === CassetteMode.RECORD
+      ? this.record(key, cassetteRequest, messages, options)
+      : this.replay(key, cassetteRequest, options);
+  }
+
+  async record(key, cassetteRequest, messages, options) {
+    const response = await this.invokeModel(messages, options);
+    this.interactions.push({
+      key,
+      request: cassetteRequest,
+      response: structuredClone(response),
+      tokenCounts: this.getTokenCounts()
+    });
+    this.save();
+    return response;
+  }
+
+  async replay(key, cassetteRequest, { signal = null } = {}) {
+    signal?.throwIfAborted();
+    const index = this.interactions.findIndex(
+      (interaction, interactionIndex) => interaction.key === key && !this.usedInteractions.has(interactionIndex)
+    );
+    if (index === -1) {
+      throw this.mismatchError(cassetteRequest);
+    }
+
+    this.usedInteractions.add(index);
+    const { response, tokenCounts } = this.interactions[index];
+    this.lastInputTokenCount = tokenCounts?.inputTokenCount ?? null;
+    this.lastOutputTokenCount = tokenCounts?.outputTokenCount ?? null;
+    return ChatMessage.fromJSON(structuredClone(response));
+  }
+
+  mismatchError(cassetteRequest) {
+    const nextIndex = this.interactions.findIndex((interaction, index) => !this.usedInteractions.has(index));
+    const details = nextIndex === -1
+      ? `All ${this.interactions.length} recorded interactions have already been used.`
+      : `Compared with recorded interaction ${nextIndex}: ${describeDifference(cassetteRequest, this.interactions[nextIndex].request)}`;
+    return new CassetteMismatchError(
+      `No recorded response in ${this.cassettePath} matches this request. ${details}\nRe-record the cassette if the change is expected.`
+    );
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(path.resolve(this.cassettePath)), { recursive: true });
+    const cassette = {
+      version: CASSETTE_VERSION,
+      modelId: this.modelId,
+      capabilities: this.getCapabilities(),
+      interactions: this.interactions
+    };
+    fs.writeFileSync(this.cassettePath, `${JSON.stringify(cassette, null, 2)}\n`);
+  }
+
+  // Replay runs should use every recorded response; call this at the end of a
+  // test to catch trajectories that stopped earlier than when recorded.
+  assertAllUsed() {
+    const unused = this.interactions.length - this.usedInteractions.size;
+    if (this.mode === CassetteMode.REPLAY && unused > 0) {
+      throw new CassetteMismatchError(`${unused} recorded interactions in ${this.cassettePath} were not replayed.`);
+    }
+  }
+}
+
+export class ModelCircuitOpenError extends Error {
+  constructor(message, lastError = null) {
+    super(message);
+    this.name = 'ModelCircuitOpenError';
+    this.lastError = lastError;
+  }
+}
+
+function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function estimateRequestTokens(messages) {
+  const characters = messages.reduce((total, message) => total + getTextContent(message.content).length, 0);
+  return Math.ceil(characters / 4);
+}
+
+const sharedRateLimiters = new Map();
+
+// Client-side requests-per-minute and tokens-per-minute limits over a sliding
+// one-minute window. Pass the same instance to several models, or use
+// `RateLimiter.shared(name)`, to share the limits across agents.
+export class RateLimiter {
+  constructor({ requestsPerMinute = null, tokensPerMinute = null, windowMs = 60000 } = {}) {
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerMinute = tokensPerMinute;
+    this.windowMs = windowMs;
+    this.entries = [];
+  }
+
+  static shared(name, options = {}) {
+    if (!sharedRateLimiters.has(name)) {
+      sharedRateLimiters.set(name, new RateLimiter(options));
+    }
+    return sharedRateLimiters.get(name);
+  }
+
+  prune(now) {
+    while (this.entries.length > 0 && this.entries[0].time <= now - this.windowMs) {
+      this.entries.shift();
+    }
+  }
+
+  // Milliseconds to wait before a request of `tokens` tokens fits in the limits
+  getWaitTime(tokens, now = Date.now()) {
+    this.prune(now);
+    let waitTime = 0;
+    if (this.requestsPerMinute && this.entries.length >= this.requestsPerMinute) {
+      const oldest = this.entries[this.entries.length - this.requestsPerMinute];
+      waitTime = Math.max(waitTime, oldest.time + this.windowMs - now);
+    }
+    if (this.tokensPerMinute) {
+      // A request larger than the whole budget is let through once the window is empty
+      let usedTokens = this.entries.reduce((total, entry) => total + entry.tokens, 0);
+      for (const entry of this.entries) {
+        if (usedTokens + tokens <= this.tokensPerMinute) {
+          break;
+        }
+        usedTokens -= entry.tokens;
+        waitTime = Math.max(waitTime, entry.time + this.windowMs - now);
+      }
+    }
+    return waitTime;
+  }
+
+  async acquire(tokens = 0, signal = null) {
+    let waitTime = this.getWaitTime(tokens);
+    while (waitTime > 0) {
+      await sleep(waitTime, signal);
+      waitTime = this.getWaitTime(tokens);
+    }
+    const entry = { time: Date.now(), tokens };
+    this.entries.push(entry);
+    return entry;
+  }
+}
+
+export const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Stops sending requests after `failureThreshold` consecutive failures, and
+// lets a single trial request through once `resetTimeoutMs` has passed.
+export class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  check(modelId = null) {
+    if (this.state === CircuitState.OPEN) {
+      const remaining = this.openedAt + this.resetTimeoutMs - Date.now();
+      if (remaining > 0) {
+        throw new ModelCircuitOpenError(
+          `Circuit breaker is open for model ${modelId || 'unknown'} after ${this.failures} consecutive failures, retrying in ${Math.ceil(remaining / 1000)}s. Last error: ${this.lastError?.message}`,
+          this.lastError
+        );
+      }
+      this.state = CircuitState.HALF_OPEN;
+    }
+  }
+
+  recordSuccess() {
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error;
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CircuitState.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+// Rate limits, server errors, timeouts and network failures are worth retrying;
+// client errors and cancellations are not.
+export function isRetryableError(error) {
+  if (error instanceof ModelHTTPError) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  if (error?.name === 'TimeoutError') {
+    return true;
+  }
+  const code = error?.code || error?.cause?.code;
+  return RETRYABLE_ERROR_CODES.includes(code) || (error instanceof TypeError && error.message === 'fetch failed');
+}
+
+// Retries failed requests with exponential backoff and jitter, honoring the
+// Retry-After delay sent by the server, behind an optional rate limiter and
+// circuit breaker.
+export class RetryModel extends ModelWrapper {
+  constructor({
+    model,
+    maxRetries = 3,
+    initialDelayMs = 1000,
+    maxDelayMs = 60000,
+    backoffFactor = 2,
+    jitter = 0.5,
+    rateLimiter = null,
+    circuitBreaker = null,
+    isRetryable = isRetryableError
+  }) {
+    super(model);
+    this.maxRetries = maxRetries;
+    this.initialDelayMs = initialDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.backoffFactor = backoffFactor;
+    this.jitter = jitter;
+    this.rateLimiter = rateLimiter;
+    this.circuitBreaker = circuitBreaker;
+    this.isRetryable = isRetryable;
+  }
+
+  getRetryDelay(attempt, error) {
+    const backoff = Math.min(this.maxDelayMs, this.initialDelayMs * this.backoffFactor ** attempt);
+    const delay = backoff * (1 - this.jitter * Math.random());
+    return error?.retryAfter ? Math.max(delay, error.retryAfter) : delay;
+  }
+
+  async invoke(messages, options = {}) {
+    const signal = options.signal ?? null;
+    for (let attempt = 0; ; attempt++) {
+      this.circuitBreaker?.check(this.modelId);
+      const rateEntry = await this.rateLimiter?.acquire(estimateRequestTokens(messages), signal);
+
+      try {
+        const response = await this.invokeModel(messages, options);
+        this.recordSuccess(rateEntry);
+        return response;
+      } catch (error) {
+        await this.handleFailure(error, attempt, signal);
+      }
+    }
+  }
+
+  // A stream is only retried until its first delta: what the consumer already
+  // received cannot be taken back.
+  async *invokeStream(messages, options = {}) {
+    const signal = options.signal ?? null;
+    for (let attempt = 0; ; attempt++) {
+      this.circuitBreaker?.check(this.modelId);
+      const rateEntry = await this.rateLimiter?.acquire(estimateRequestTokens(messages), signal);
+
+      let started = false;
+      try {
+        for await (const delta of this.streamModel(messages, options)) {
+          started = true;
+          yield delta;
+        }
+        this.recordSuccess(rateEntry);
+        return;
+      } catch (error) {
+        if (started) {
+          throw error;
+        }
+        await this.handleFailure(error, attempt, signal);
+      }
+    }
+  }
+
+  recordSuccess(rateEntry) {
+    if (rateEntry) {
+      rateEntry.tokens = (this.lastInputTokenCount ?? rateEntry.tokens) + (this.lastOutputTokenCount ?? 0);
+    }
+    this.circuitBreaker?.recordSuccess();
+  }
+
+  // Throws the error when it should not be retried, waits before the next
+  // attempt otherwise
+  async handleFailure(error, attempt, signal) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    const retryable = this.isRetryable(error);
+    if (retryable) {
+      this.circuitBreaker?.recordFailure(error);
+    }
+    if (!retryable || attempt >= this.maxRetries) {
+      throw error;
+    }
+    const delay = this.getRetryDelay(attempt, error);
+    console.warn(`Model request failed (${error.message}), retrying in ${Math.round(delay)}ms (${attempt + 1}/${this.maxRetries}).`);
+    await sleep(delay, signal);
+  }
+}
+
+// Caches responses on disk, one JSON file per request, so that re-running the
+// same agent on the same task does not call the model again. Cached responses
+// report zero tokens and set `lastCacheHit`, which the Monitor counts.
+export class CachedModel extends ModelWrapper {
+  constructor({
+    model,
+    cacheDir = path.join(process.cwd(), '.smolagents_cache'),
+    ttlMs = null,
+    maxSizeBytes = 100 * 1024 * 1024,
+    bypass = false
+  }) {
+    super(model);
+    this.cacheDir = cacheDir;
+    this.ttlMs = ttlMs;
+    this.maxSizeBytes = maxSizeBytes;
+    this.bypass = bypass;
+    this.lastCacheHit = false;
+  }
+
+  getCacheKey(messages, { tools = null, stopSequences = null, grammar = null, temperature = null, maxTokens = null }) {
+    return hashValue({
+      modelId: this.modelId,
+      messages: getCleanMessageList(messages, toolRoleConversions),
+      tools: tools ? serializeTools(tools) : null,
+      stopSequences: stopSequences || [],
+      grammar,
+      temperature,
+      maxTokens
+    });
+  }
+
+  getEntryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  readEntry(key) {
+    const entryPath = this.getEntryPath(key);
+    if (!fs.existsSync(entryPath)) {
+      return null;
+    }
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf-8'));
+    if (this.ttlMs !== null && Date.now() - entry.createdAt > this.ttlMs) {
+      fs.rmSync(entryPath, { force: true });
+      return null;
+    }
+    return entry;
+  }
+
+  writeEntry(key, entry) {
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    fs.writeFileSync(this.getEntryPath(key), JSON.stringify(entry));
+    this.evict();
+  }
+
+  // Removes the oldest entries until the cache fits in `maxSizeBytes`
+  evict() {
+    if (this.maxSizeBytes === null) {
+      return;
+    }
+    const entries = fs.readdirSync(this.cacheDir)
+      .filter(fileName => fileName.endsWith('.json'))
+      .map(fileName => {
+        const entryPath = path.join(this.cacheDir, fileName);
+        const { size, mtimeMs } = fs.statSync(entryPath);
+        return { entryPath, size, mtimeMs };
+      })
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+    for (const entry of entries) {
+      if (totalSize <= this.maxSizeBytes) {
+        break;
+      }
+      fs.rmSync(entry.entryPath, { force: true });
+      totalSize -= entry.size;
+    }
+  }
+
+  clear() {
+    fs.rmSync(this.cacheDir, { recursive: true, force: true });
+  }
+
+  // Responses are cached whole, so streams are served from `invoke`
+  invokeStream(messages, options) {
+    return Model.prototype.generateStream.call(this, messages, options);
+  }
+
+  async invoke(messages, options = {}) {
+    this.lastCacheHit = false;
+    if (this.bypass) {
+      return this.invokeModel(messages, options);
+    }
+
+    const key = this.getCacheKey(messages, options);
+    const entry = this.readEntry(key);
+    if (entry) {
+      this.lastCacheHit = true;
+      this.lastInputTokenCount = 0;
+      this.lastOutputTokenCount = 0;
+      return new ChatMessage({ ...entry.response, usage: { inputTokens: 0, outputTokens: 0 } });
+    }
+
+    const response = await this.invokeModel(messages, options);
+    this.writeEntry(key, {
+      createdAt: Date.now(),
+      modelId: this.modelId,
+      response,
+      tokenCounts: this.getTokenCounts()
+    });
+    return response;
+  }
+}
+
+export class ModelRouterError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ModelRouterError';
+    this.errors = errors;
+  }
+}
+
+// Sends each request to the model picked by the first matching rule, and falls
+// back to the next models in order when it fails or times out.
+//
+// Rules are either functions of { purpose, promptTokens, messages, tools }
+// returning a model name, or objects such as
+// { purpose: 'planning', minPromptTokens: 8000, model: 'cheap', fallbacks: ['strong'] }
+// where `tools: true` only matches requests that give tools.
+// The purpose ('planning', 'action', 'final_answer', 'summary') is given by the
+// agent in the call options.
+export class RouterModel extends ModelWrapper {
+  constructor({ models, rules = [], fallback = true, timeoutMs = null }) {
+    const entries = Array.isArray(models)
+      ? models.map((model, index) => [model.modelId || `model_${index}`, model])
+      : Object.entries(models);
+    if (entries.length === 0) {
+      throw new Error('RouterModel needs at least one model.');
+    }
+    super(entries[0][1]);
+    this.models = new Map(entries);
+    this.rules = rules;
+    this.fallback = fallback;
+    this.timeoutMs = timeoutMs;
+    this.modelId = `router(${[...this.models.keys()].join(', ')})`;
+    this.lastModelId = null;
+    this.lastModelName = null;
+  }
+
+  // Any model may end up serving a request, so only what they all support is
+  // advertised.
+  getCapabilities() {
+    const capabilities = [...this.models.values()].map(getModelCapabilities).reduce((combined, current) => {
+      const result = {};
+      for (const [key, value] of Object.entries(combined)) {
+        result[key] = typeof value === 'number' ? Math.min(value, current[key] ?? value) : value && current[key];
+      }
+      return result;
+    });
+    return { ...capabilities, ...this.capabilityOverrides };
+  }
+
+  matchRule(rule, context) {
+    if (typeof rule === 'function') {
+      return rule(context) || null;
+    }
+    const { purpose, tools, minPromptTokens, maxPromptTokens } = rule;
+    if (purpose !== undefined && ![].concat(purpose).includes(context.purpose)) {
+      return null;
+    }
+    if (tools !== undefined && tools !== Boolean(context.tools)) {
+      return null;
+    }
+    if (minPromptTokens !== undefined && context.promptTokens < minPromptTokens) {
+      return null;
+    }
+    if (maxPromptTokens !== undefined && context.promptTokens > maxPromptTokens) {
+      return null;
+    }
+    return rule.model;
+  }
+
+  // Ordered list of the model names to try for a request
+  selectModels(context) {
+    const names = [...this.models.keys()];
+    for (const rule of this.rules) {
+      const name = this.matchRule(rule, context);
+      if (name === null) {
+        continue;
+      }
+      if (!this.models.has(name)) {
+        throw new Error(`Routing rule selected unknown model '${name}', should be one of ${names}.`);
+      }
+      const fallbacks = rule.fallbacks ?? (this.fallback ? names.filter(other => other !== name) : []);
+      return [name, ...fallbacks];
+    }
+    return this.fallback ? names : names.slice(0, 1);
+  }
+
+  getRoutingContext(messages, options) {
+    return {
+      purpose: options.purpose ?? null,
+      promptTokens: estimateRequestTokens(messages),
+      messages,
+      tools: options.tools ?? null
+    };
+  }
+
+  async invoke(messages, options = {}) {
+    const signal = options.signal ?? null;
+    const errors = [];
+    for (const name of this.selectModels(this.getRoutingContext(messages, options))) {
+      const model = this.models.get(name);
+      const signals = [signal, this.timeoutMs ? AbortSignal.timeout(this.timeoutMs) : null].filter(Boolean);
+      const attemptSignal = signals.length > 0 ? AbortSignal.any(signals) : null;
+      try {
+        const response = await this.invokeModel(messages, { ...options, signal: attemptSignal }, model);
+        this.lastModelName = name;
+        this.lastModelId ??= name;
+        return response;
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        errors.push(error);
+        console.warn(`Model ${name} failed (${error.message}), trying the next model.`);
+      }
+    }
+    throw this.routingError(errors);
+  }
+
+  // A stream falls back to the next model only until its first delta, and
+  // `timeoutMs` only bounds the wait for that delta: the rest of the answer can
+  // take longer to arrive.
+  async *invokeStream(messages, options = {}) {
+    const signal = options.signal ?? null;
+    const errors = [];
+    for (const name of this.selectModels(this.getRoutingContext(messages, options))) {
+      const model = this.models.get(name);
+      const firstDelta = new AbortController();
+      const timer = this.timeoutMs
+        ? setTimeout(() => firstDelta.abort(new DOMException(`Model ${name} sent nothing for ${this.timeoutMs}ms`, 'TimeoutError')), this.timeoutMs)
+        : null;
+      const attemptSignal = AbortSignal.any([signal, firstDelta.signal].filter(Boolean));
+      let started = false;
+      try {
+        for await (const delta of this.streamModel(messages, { ...options, signal: attemptSignal }, model)) {
+          clearTimeout(timer);
+          started = true;
+          yield delta;
+        }
+        this.lastModelName = name;
+        this.lastModelId ??= name;
+        return;
+      } catch (error) {
+        if (started || signal?.aborted) {
+          throw error;
+        }
+        errors.push(error);
+        console.warn(`Model ${name} failed (${error.message}), trying the next model.`);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    throw this.routingError(errors);
+  }
+
+  routingError(errors) {
+    return new ModelRouterError(
+      `All routed models failed for this request:\n${errors.map(error => `- ${error.message}`).join('\n')}`,
+      errors
+    );
+  }
+}
@@ -1,7 +1,14 @@
 import { Tool } from './tools.js';
-import { parseJsonToolCall } from './utils.js';
+import { truncateContent } from './utils.js';
+import { loadImageBytes } from './image_utils.js';
+import { DEFAULT_CAPABILITIES, lookupModelCapabilities } from './capabilities.js';
 import { HfInference } from '@huggingface/inference';
-import { AutoTokenizer, AutoModelForCausalLM } from '@huggingface/transformers';
+import {
+  AutoTokenizer,
+  AutoModelForCausalLM,
+  StoppingCriteria,
+  InterruptableStoppingCriteria
+} from '@huggingface/transformers';
 import litellm from 'litellm';
 
 // Default grammar patterns
@@ -34,28 +41,12 @@ export const toolRoleConversions = {
 };
 
 export function getJsonSchema(tool) {
-  const properties = structuredClone(tool.inputs);
-  const required = [];
-  
-  for (const [key, value] of Object.entries(properties)) {
-    if (value.type === 'any') {
-      value.type = 'string';
-    }
-    if (!('nullable' in value && value.nullable)) {
-      required.push(key);
-    }
-  }
-  
   return {
     type: 'function',
     function: {
       name: tool.name,
       description: tool.description,
-      parameters: {
-        type: 'object',
-        properties,
-        required
-      }
+      parameters: tool.getInputSchema()
     }
   };
 }
@@ -70,6 +61,76 @@ export function removeStopSequences(originalContent, stopSequences) {
   return content;
 }
 
+// Message content is either a string or a list of content parts:
+// { type: 'text', text } and { type: 'image', mimeType, data } with base64 data.
+export function toContentParts(content) {
+  if (Array.isArray(content)) {
+    return content;
+  }
+  return content === null || content === undefined || content === '' ? [] : [{ type: 'text', text: content }];
+}
+
+export function getTextContent(content) {
+  if (!Array.isArray(content)) {
+    return content ?? '';
+  }
+  return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+}
+
+export function getImageParts(content) {
+  return Array.isArray(content) ? content.filter(part => part.type === 'image') : [];
+}
+
+function detectImageMimeType(buffer) {
+  if (buffer.subarray(0, 3).toString('hex') === 'ffd8ff') {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'GIF8') {
+    return 'image/gif';
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return 'image/webp';
+  }
+  return 'image/png';
+}
+
+// Accepts an AgentImage, a Buffer, a data URL, a file path or an http(s) URL.
+export async function imageToContentPart(image) {
+  if (typeof image === 'string' && image.startsWith('data:')) {
+    const match = image.match(/^data:([^;,]+);base64,(.*)$/s);
+    if (!match) {
+      throw new Error('Only base64 data URLs are supported for images.');
+    }
+    return { type: 'image', mimeType: match[1], data: match[2] };
+  }
+  const raw = await loadImageBytes(image);
+  return { type: 'image', mimeType: detectImageMimeType(raw), data: raw.toString('base64') };
+}
+
+// OpenAI-style content, also accepted by Hugging Face and LiteLLM
+function toOpenAIContent(content) {
+  if (!Array.isArray(content)) {
+    return content;
+  }
+  return content.map(part => (part.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+    : { type: 'text', text: part.text }));
+}
+
+export function getOpenAIMessageList(messageList) {
+  return messageList.map(message => ({ ...message, content: toOpenAIContent(message.content) }));
+}
+
+// For models without vision support
+function getTextMessageList(messageList) {
+  return messageList.map(message => ({
+    ...message,
+    content: getImageParts(message.content).length > 0
+      ? `${getTextContent(message.content)}\n[${getImageParts(message.content).length} image(s) omitted]`
+      : getTextContent(message.content)
+  }));
+}
+
 export function getCleanMessageList(originalMessageList, roleConversions = {}) {
   const finalMessageList = [];
   const messageList = structuredClone(originalMessageList);
@@ -84,8 +145,17 @@ export function getCleanMessageList(originalMessageList, roleConversions = {}) {
       message.role = roleConversions[role];
     }
 
-    if (finalMessageList.length > 0 && message.role === finalMessageList[finalMessageList.length - 1].role) {
-      finalMessageList[finalMessageList.length - 1].content = `${finalMessageList[finalMessageList.length - 1].content}\n=======\n${message.content}`;
+    const lastMessage = finalMessageList[finalMessageList.length - 1];
+    if (lastMessage && message.role === lastMessage.role) {
+      if (Array.isArray(lastMessage.content) || Array.isArray(message.content)) {
+        lastMessage.content = [
+          ...toContentParts(lastMessage.content),
+          { type: 'text', text: '=======' },
+          ...toContentParts(message.content)
+        ];
+      } else {
+        lastMessage.content = `${lastMessage.content}\n=======\n${message.content}`;
+      }
     } else {
       finalMessageList.push(message);
     }
@@ -94,10 +164,195 @@ export function getCleanMessageList(originalMessageList, roleConversions = {}) {
   return finalMessageList;
 }
 
+// Keeps tool calls and tool responses as structured OpenAI-style messages, with
+// one `tool` message per call id, instead of flattening them into plain text.
+// Tool messages only hold text, so images returned by tools are sent in a user
+// message right after the tool responses.
+export function getToolCallingMessageList(originalMessageList) {
+  const finalMessageList = [];
+  let pendingMessages = [];
+  let toolImageParts = [];
+
+  const flushPending = () => {
+    finalMessageList.push(...getCleanMessageList(pendingMessages, toolRoleConversions));
+    pendingMessages = [];
+  };
+
+  for (const message of originalMessageList) {
+    if (toolImageParts.length > 0 && !(message.role === MessageRole.TOOL_RESPONSE && message.toolCallId)) {
+      pendingMessages.push({ role: MessageRole.USER, content: toolImageParts });
+      toolImageParts = [];
+    }
+
+    if (message.role === MessageRole.TOOL_CALL && message.toolCalls) {
+      flushPending();
+      finalMessageList.push({
+        role: MessageRole.ASSISTANT,
+        content: null,
+        tool_calls: message.toolCalls.map(toolCall => ({
+          id: toolCall.id,
+          type: 'function',
+          function: {
+            name: toolCall.name,
+            arguments: typeof toolCall.arguments === 'string'
+              ? toolCall.arguments
+              : JSON.stringify(toolCall.arguments)
+          }
+        }))
+      });
+    } else if (message.role === MessageRole.TOOL_RESPONSE && message.toolCallId) {
+      flushPending();
+      finalMessageList.push({
+        role: 'tool',
+        tool_call_id: message.toolCallId,
+        content: getTextContent(message.content)
+      });
+      const imageParts = getImageParts(message.content);
+      if (imageParts.length > 0) {
+        toolImageParts.push({ type: 'text', text: `Images returned by call ${message.toolCallId}:` }, ...imageParts);
+      }
+    } else {
+      pendingMessages.push(message);
+    }
+  }
+  if (toolImageParts.length > 0) {
+    pendingMessages.push({ role: MessageRole.USER, content: toolImageParts });
+  }
+  flushPending();
+
+  return finalMessageList;
+}
+
+// Removes stop sequences from streamed text: the end of the text is held back
+// while it could still be the start of a stop sequence, and only released once
+// more text shows that it is not.
+export class StopSequenceFilter {
+  constructor(stopSequences) {
+    this.stopSequences = (stopSequences || []).filter(Boolean);
+    this.pending = '';
+  }
+
+  push(text) {
+    this.pending += text;
+    let heldLength = 0;
+    for (const stopSeq of this.stopSequences) {
+      for (let length = Math.min(stopSeq.length, this.pending.length); length > heldLength; length--) {
+        if (stopSeq.startsWith(this.pending.slice(-length))) {
+          heldLength = length;
+          break;
+        }
+      }
+    }
+    const released = this.pending.slice(0, this.pending.length - heldLength);
+    this.pending = this.pending.slice(this.pending.length - heldLength);
+    return released;
+  }
+
+  flush() {
+    const released = removeStopSequences(this.pending, this.stopSequences);
+    this.pending = '';
+    return released;
+  }
+}
+
+// Reads a newline-delimited JSON body and yields each parsed line.
+async function* readJsonLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+  if (buffer.trim()) {
+    yield JSON.parse(buffer);
+  }
+}
+
+// Reads a server-sent events body and yields the parsed JSON of each data line.
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const data = line.trim();
+      if (!data.startsWith('data:')) {
+        continue;
+      }
+      const payload = data.slice('data:'.length).trim();
+      if (payload === '[DONE]') {
+        return;
+      }
+      yield JSON.parse(payload);
+    }
+  }
+}
+
+// What `generate` returns: the text of the answer, the tool calls the model
+// made as { id, name, arguments } objects with parsed arguments, and the token
+// usage of the request.
+export class ChatMessage {
+  constructor({ role = MessageRole.ASSISTANT, content = '', toolCalls = [], usage = null } = {}) {
+    this.role = role;
+    this.content = content;
+    this.toolCalls = toolCalls;
+    this.usage = usage;
+  }
+
+  static fromJSON(data) {
+    return new ChatMessage(data);
+  }
+}
+
+// Tool calls in OpenAI format, where arguments are usually a JSON string
+function parseOpenAIToolCalls(toolCalls) {
+  return (toolCalls || []).map(toolCall => {
+    let toolArgs = toolCall.function.arguments;
+    if (typeof toolArgs === 'string') {
+      try {
+        toolArgs = JSON.parse(toolArgs);
+      } catch (e) {
+        console.warn('Failed to parse tool arguments:', toolArgs);
+      }
+    }
+    return { id: toolCall.id ?? null, name: toolCall.function.name, arguments: toolArgs };
+  });
+}
+
+// Every model implements `generate(messages, options)`, where the options are
+// { stopSequences, grammar, maxTokens, temperature, tools, signal, purpose }.
+// With `tools`, the model may answer with tool calls instead of text. The
+// purpose of the request ('planning', 'action', 'final_answer', 'summary') is
+// only informative, for wrappers that route or log requests.
 export class Model {
+  static capabilities = {};
+
   constructor() {
     this.lastInputTokenCount = null;
     this.lastOutputTokenCount = null;
+    this.capabilityOverrides = {};
+  }
+
+  getCapabilities() {
+    return {
+      ...DEFAULT_CAPABILITIES,
+      ...this.constructor.capabilities,
+      ...lookupModelCapabilities(this.modelId),
+      ...this.capabilityOverrides
+    };
+  }
+
+  withCapabilities(overrides) {
+    Object.assign(this.capabilityOverrides, overrides);
+    return this;
   }
 
   getTokenCounts() {
@@ -107,22 +362,45 @@ export class Model {
     };
   }
 
-  generate(messages, stopSequences = null, grammar = null, maxTokens = 1500) {
+  // Token counts are also kept on the model, for monitoring
+  createChatMessage({ content = '', toolCalls = [], inputTokens = null, outputTokens = null }, stopSequences = null) {
+    this.lastInputTokenCount = inputTokens;
+    this.lastOutputTokenCount = outputTokens;
+    return new ChatMessage({
+      content: stopSequences?.length ? removeStopSequences(content ?? '', stopSequences) : content ?? '',
+      toolCalls,
+      usage: { inputTokens, outputTokens }
+    });
+  }
+
+  async generate(messages, options = {}) {
     throw new Error('Not implemented');
   }
 
-  call(messages, stopSequences = null, grammar = null, maxTokens = 1500) {
-    if (!Array.isArray(messages)) {
-      throw new Error('Messages should be a list of dictionaries with "role" and "content" keys.');
+  // Yields { type: 'text', content } deltas, or { type: 'tool_call', index, id,
+  // name, arguments } deltas when `tools` are given, where `arguments` is the
+  // next fragment of the JSON arguments. Token counts are set once the stream
+  // is done. Models without native streaming yield their full answer at once.
+  async *generateStream(messages, options = {}) {
+    const message = await this.generate(messages, options);
+    if (message.content) {
+      yield { type: 'text', content: message.content };
+    }
+    for (const [index, toolCall] of message.toolCalls.entries()) {
+      yield {
+        type: 'tool_call',
+        index,
+        id: toolCall.id,
+        name: toolCall.name,
+        arguments: typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments)
+      };
     }
-    
-    const sequences = stopSequences || [];
-    const response = this.generate(messages, sequences, grammar, maxTokens);
-    return removeStopSequences(response, sequences);
   }
 }
 
 export class HfApiModel extends Model {
+  static capabilities = { nativeTools: true, parallelTools: true, grammar: true, jsonSchema: true, streaming: true };
+
   constructor(modelId = 'Qwen/Qwen2.5-Coder-32B-Instruct', token = null, timeout = 120) {
     super();
     this.modelId = modelId;
@@ -130,52 +408,727 @@ export class HfApiModel extends Model {
     this.client = new HfInference(apiToken);
   }
 
-  async generate(messages, stopSequences = null, grammar = null, maxTokens = 1500) {
-    const cleanMessages = getCleanMessageList(messages, toolRoleConversions);
+  buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }) {
+    const request = {
+      model: this.modelId,
+      messages: getOpenAIMessageList(tools ? getToolCallingMessageList(messages) : getCleanMessageList(messages, toolRoleConversions)),
+      max_tokens: maxTokens
+    };
+    if (stopSequences?.length) {
+      request.stop = stopSequences;
+    }
+    if (temperature !== null) {
+      request.temperature = temperature;
+    }
+    if (tools) {
+      request.tools = tools.map(getToolDefinition);
+      request.tool_choice = 'auto';
+    } else if (grammar) {
+      request.response_format = grammar;
+    }
+    return request;
+  }
 
+  async generate(messages, {
+    stopSequences = null,
+    grammar = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const request = this.buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools });
+    const recorder = recordFailedResponse();
     let output;
-    if (grammar) {
-      output = await this.client.chatCompletion(cleanMessages, {
-        model: this.modelId,
-        stop: stopSequences,
-        responseFormat: grammar,
-        maxTokens
-      });
+    try {
+      output = await this.client.chatCompletion(request, { signal, fetch: recorder.fetch });
+    } catch (e) {
+      throw toModelHTTPError(e, recorder.response);
+    }
+    const message = output.choices[0].message;
+    return this.createChatMessage({
+      content: message.content,
+      toolCalls: parseOpenAIToolCalls(message.tool_calls),
+      inputTokens: output.usage?.prompt_tokens ?? null,
+      outputTokens: output.usage?.completion_tokens ?? null
+    }, stopSequences);
+  }
+
+  async *generateStream(messages, {
+    stopSequences = null,
+    grammar = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    if (tools) {
+      yield* super.generateStream(messages, { stopSequences, maxTokens, temperature, tools, signal });
+      return;
+    }
+
+    const recorder = recordFailedResponse();
+    const stream = this.client.chatCompletionStream({
+      ...this.buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }),
+      stream_options: { include_usage: true }
+    }, { signal, fetch: recorder.fetch });
+
+    const stopFilter = new StopSequenceFilter(stopSequences);
+    this.lastInputTokenCount = null;
+    this.lastOutputTokenCount = null;
+    try {
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          this.lastInputTokenCount = chunk.usage.prompt_tokens;
+          this.lastOutputTokenCount = chunk.usage.completion_tokens;
+        }
+        const content = stopFilter.push(chunk.choices?.[0]?.delta?.content || '');
+        if (content) {
+          yield { type: 'text', content };
+        }
+      }
+    } catch (e) {
+      throw toModelHTTPError(e, recorder.response);
+    }
+    const rest = stopFilter.flush();
+    if (rest) {
+      yield { type: 'text', content: rest };
+    }
+  }
+}
+
+export class ModelHTTPError extends Error {
+  constructor(message, { status, body = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ModelHTTPError';
+    this.status = status;
+    this.body = body;
+    // Delay requested by the server before retrying, in milliseconds
+    this.retryAfter = retryAfter;
+  }
+}
+
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// @huggingface/inference throws plain errors without the HTTP status, so the
+// last failed response is kept aside through the fetch option of the client.
+function recordFailedResponse() {
+  const recorder = {
+    response: null,
+    fetch: async (url, info) => {
+      const response = await fetch(url, info);
+      if (!response.ok) {
+        recorder.response = response;
+      }
+      return response;
+    }
+  };
+  return recorder;
+}
+
+// Converts the errors of client libraries to ModelHTTPError when their HTTP
+// status can be found, so that RetryModel can tell which ones to retry.
+function toModelHTTPError(error, response = null) {
+  if (error instanceof ModelHTTPError) {
+    return error;
+  }
+  const status = response?.status
+    ?? error?.status
+    ?? error?.response?.status
+    ?? Number(error?.message?.match(/\b(?:error with code|contains error:) (\d{3})\b/)?.[1] || NaN);
+  if (!Number.isInteger(status)) {
+    return error;
+  }
+  const headers = response?.headers ?? error?.headers ?? error?.response?.headers;
+  const retryAfter = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const httpError = new ModelHTTPError(error?.message ?? String(error), {
+    status,
+    body: error?.error ?? null,
+    retryAfter: parseRetryAfter(retryAfter)
+  });
+  httpError.cause = error;
+  return httpError;
+}
+
+// Aborts when `timeout` seconds pass without progress. `touch` restarts the
+// countdown and `clear` stops it.
+function createIdleTimeout(url, timeout) {
+  const controller = new AbortController();
+  let timer = null;
+  const clear = () => clearTimeout(timer);
+  const touch = () => {
+    clear();
+    timer = setTimeout(() => {
+      controller.abort(new DOMException(`Request to ${url} received no data for ${timeout}s`, 'TimeoutError'));
+    }, timeout * 1000);
+  };
+  touch();
+  return { signal: controller.signal, touch, clear };
+}
+
+// Streamed bodies are read as the model writes them, which can take longer than
+// any fixed timeout, so the timeout only bounds each wait for the next chunk.
+function withIdleTimeout(response, idleTimeout) {
+  const reader = response.body.getReader();
+  const stream = new ReadableStream({
+    async pull(controller) {
+      let chunk;
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        idleTimeout.clear();
+        throw error;
+      }
+      if (chunk.done) {
+        idleTimeout.clear();
+        controller.close();
+        return;
+      }
+      idleTimeout.touch();
+      controller.enqueue(chunk.value);
+    },
+    cancel(reason) {
+      idleTimeout.clear();
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(stream, response);
+}
+
+// Requests with `stream: true` get an idle timeout instead of a total one
+async function postJson(url, body, { headers = {}, timeout = 120, signal = null } = {}) {
+  const idleTimeout = body.stream === true ? createIdleTimeout(url, timeout) : null;
+  const signals = [idleTimeout ? idleTimeout.signal : AbortSignal.timeout(timeout * 1000)];
+  if (signal) {
+    signals.push(signal);
+  }
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.any(signals)
+    });
+  } catch (error) {
+    idleTimeout?.clear();
+    throw error;
+  }
+  if (!response.ok) {
+    const errorBody = await response.text();
+    idleTimeout?.clear();
+    throw new ModelHTTPError(
+      `Request to ${url} failed with status ${response.status}: ${errorBody}`,
+      { status: response.status, body: errorBody, retryAfter: parseRetryAfter(response.headers.get('retry-after')) }
+    );
+  }
+  if (idleTimeout) {
+    idleTimeout.touch();
+    return withIdleTimeout(response, idleTimeout);
+  }
+  return response;
+}
+
+// Tools reach the model either as Tool instances or as plain
+// { name, description, parameters } descriptions.
+function getToolDefinition(tool) {
+  if (tool instanceof Tool) {
+    return getJsonSchema(tool);
+  }
+  return {
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  };
+}
+
+function getResponseFormat(grammar) {
+  if (['text', 'json_object', 'json_schema'].includes(grammar.type)) {
+    return grammar;
+  }
+  if (grammar.type === 'json') {
+    return {
+      type: 'json_schema',
+      json_schema: { name: grammar.name || 'response', schema: grammar.value, strict: grammar.strict ?? false }
+    };
+  }
+  throw new Error(`Grammar of type '${grammar.type}' is not supported by OpenAI-compatible servers, use 'json', 'json_object' or 'json_schema' instead.`);
+}
+
+// Talks to any server that implements the OpenAI chat completions API (OpenAI,
+// vLLM, llama.cpp server, LM Studio, ...) with plain fetch calls.
+export class OpenAIServerModel extends Model {
+  static capabilities = { nativeTools: true, parallelTools: true, jsonSchema: true, streaming: true };
+
+  constructor(
+    modelId,
+    apiBase = 'https://api.openai.com/v1',
+    apiKey = null,
+    { headers = {}, timeout = 120, toolChoice = 'required', extraBody = {} } = {}
+  ) {
+    super();
+    this.modelId = modelId;
+    this.apiBase = apiBase.replace(/\/+$/, '');
+    this.apiKey = apiKey ?? process.env.OPENAI_API_KEY ?? null;
+    this.headers = headers;
+    this.timeout = timeout;
+    this.toolChoice = toolChoice;
+    this.extraBody = extraBody;
+  }
+
+  sendRequest(body, signal) {
+    const headers = { ...this.headers };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return postJson(
+      `${this.apiBase}/chat/completions`,
+      { model: this.modelId, ...this.extraBody, ...body },
+      { headers, timeout: this.timeout, signal }
+    );
+  }
+
+  buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }) {
+    const body = {
+      messages: getOpenAIMessageList(tools ? getToolCallingMessageList(messages) : getCleanMessageList(messages, toolRoleConversions)),
+      max_tokens: maxTokens
+    };
+    if (stopSequences?.length) {
+      body.stop = stopSequences;
+    }
+    if (temperature !== null) {
+      body.temperature = temperature;
+    }
+    if (tools) {
+      body.tools = tools.map(getToolDefinition);
+      body.tool_choice = this.toolChoice;
+    } else if (grammar) {
+      body.response_format = getResponseFormat(grammar);
+    }
+    return body;
+  }
+
+  async generate(messages, {
+    stopSequences = null,
+    grammar = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const body = this.buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools });
+    const output = await (await this.sendRequest(body, signal)).json();
+    if (!output.choices?.length) {
+      throw new Error(`No choices in the response of ${this.apiBase}/chat/completions: ${JSON.stringify(output)}`);
+    }
+    const message = output.choices[0].message;
+    return this.createChatMessage({
+      content: message.content,
+      toolCalls: parseOpenAIToolCalls(message.tool_calls),
+      inputTokens: output.usage?.prompt_tokens ?? 0,
+      outputTokens: output.usage?.completion_tokens ?? 0
+    }, stopSequences);
+  }
+
+  async *generateStream(messages, {
+    stopSequences = null,
+    grammar = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const body = {
+      ...this.buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    const response = await this.sendRequest(body, signal);
+    const stopFilter = new StopSequenceFilter(stopSequences);
+    this.lastInputTokenCount = 0;
+    this.lastOutputTokenCount = 0;
+    for await (const chunk of readServerSentEvents(response.body)) {
+      if (chunk.usage) {
+        this.lastInputTokenCount = chunk.usage.prompt_tokens ?? 0;
+        this.lastOutputTokenCount = chunk.usage.completion_tokens ?? 0;
+      }
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) {
+        continue;
+      }
+      for (const toolCall of delta.tool_calls || []) {
+        yield {
+          type: 'tool_call',
+          index: toolCall.index,
+          id: toolCall.id,
+          name: toolCall.function?.name,
+          arguments: toolCall.function?.arguments || ''
+        };
+      }
+      const content = stopFilter.push(delta.content || '');
+      if (content) {
+        yield { type: 'text', content };
+      }
+    }
+    const rest = stopFilter.flush();
+    if (rest) {
+      yield { type: 'text', content: rest };
+    }
+  }
+}
+
+// Ollama expects tool call arguments as objects and has no tool call ids: tool
+// responses are matched to their call through the tool name instead.
+function getOllamaMessageList(messages) {
+  const toolNames = {};
+  return getToolCallingMessageList(messages).map(message => {
+    if (message.tool_calls) {
+      return {
+        role: message.role,
+        content: message.content ?? '',
+        tool_calls: message.tool_calls.map(toolCall => {
+          toolNames[toolCall.id] = toolCall.function.name;
+          let toolArgs = toolCall.function.arguments;
+          try {
+            toolArgs = JSON.parse(toolArgs);
+          } catch (e) {
+            // Arguments that are not JSON are sent as they are
+          }
+          return { function: { name: toolCall.function.name, arguments: toolArgs } };
+        })
+      };
+    }
+    if (message.role === 'tool') {
+      return { role: 'tool', content: message.content, tool_name: toolNames[message.tool_call_id] };
+    }
+    const imageParts = getImageParts(message.content);
+    if (imageParts.length > 0) {
+      return { role: message.role, content: getTextContent(message.content), images: imageParts.map(part => part.data) };
+    }
+    return message;
+  });
+}
+
+function getOllamaFormat(grammar) {
+  if (grammar.type === 'json') {
+    return grammar.value ?? 'json';
+  }
+  if (grammar.type === 'json_object') {
+    return 'json';
+  }
+  if (grammar.type === 'json_schema') {
+    return grammar.json_schema.schema;
+  }
+  throw new Error(`Grammar of type '${grammar.type}' is not supported by Ollama, use 'json', 'json_object' or 'json_schema' instead.`);
+}
+
+// Talks to the /api/chat endpoint of a local or remote Ollama server.
+export class OllamaModel extends Model {
+  static capabilities = { nativeTools: true, parallelTools: true, jsonSchema: true, streaming: true };
+
+  constructor(
+    modelId = 'llama3.2',
+    apiBase = null,
+    { headers = {}, timeout = 300, options = {}, keepAlive = null } = {}
+  ) {
+    super();
+    this.modelId = modelId;
+    this.apiBase = (apiBase || process.env.OLLAMA_HOST || 'http://localhost:11434').replace(/\/+$/, '');
+    this.headers = headers;
+    this.timeout = timeout;
+    this.options = options;
+    this.keepAlive = keepAlive;
+  }
+
+  buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }, stream) {
+    const body = {
+      model: this.modelId,
+      messages: getOllamaMessageList(messages),
+      stream,
+      options: { ...this.options, num_predict: maxTokens }
+    };
+    if (stopSequences?.length) {
+      body.options.stop = stopSequences;
+    }
+    if (temperature !== null) {
+      body.options.temperature = temperature;
+    }
+    if (tools) {
+      body.tools = tools.map(getToolDefinition);
+    } else if (grammar) {
+      body.format = getOllamaFormat(grammar);
+    }
+    if (this.keepAlive !== null) {
+      body.keep_alive = this.keepAlive;
+    }
+    return body;
+  }
+
+  sendRequest(body, signal) {
+    return postJson(`${this.apiBase}/api/chat`, body, { headers: this.headers, timeout: this.timeout, signal });
+  }
+
+  async generate(messages, {
+    stopSequences = null,
+    grammar = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const body = this.buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }, false);
+    const output = await (await this.sendRequest(body, signal)).json();
+    // Ollama does not always give ids, the agent then numbers the calls itself
+    return this.createChatMessage({
+      content: output.message?.content,
+      toolCalls: (output.message?.tool_calls || []).map(toolCall => ({
+        id: toolCall.id ?? null,
+        name: toolCall.function.name,
+        arguments: toolCall.function.arguments
+      })),
+      inputTokens: output.prompt_eval_count ?? 0,
+      outputTokens: output.eval_count ?? 0
+    }, stopSequences);
+  }
+
+  async *generateStream(messages, {
+    stopSequences = null,
+    grammar = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const body = this.buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }, true);
+    const response = await this.sendRequest(body, signal);
+    const stopFilter = new StopSequenceFilter(stopSequences);
+    let toolCallIndex = 0;
+    for await (const chunk of readJsonLines(response.body)) {
+      if (chunk.error) {
+        throw new Error(`Ollama stream failed: ${chunk.error}`);
+      }
+      for (const toolCall of chunk.message?.tool_calls || []) {
+        yield {
+          type: 'tool_call',
+          index: toolCallIndex++,
+          id: toolCall.id ?? null,
+          name: toolCall.function.name,
+          arguments: JSON.stringify(toolCall.function.arguments)
+        };
+      }
+      const content = stopFilter.push(chunk.message?.content || '');
+      if (content) {
+        yield { type: 'text', content };
+      }
+      if (chunk.done) {
+        this.lastInputTokenCount = chunk.prompt_eval_count ?? 0;
+        this.lastOutputTokenCount = chunk.eval_count ?? 0;
+      }
+    }
+    const rest = stopFilter.flush();
+    if (rest) {
+      yield { type: 'text', content: rest };
+    }
+  }
+}
+
+// The Messages API takes the system prompt apart, and expects alternating
+// user/assistant messages made of content blocks: tool calls become tool_use
+// blocks and tool responses tool_result blocks of the next user message.
+function getAnthropicMessages(messageList) {
+  const systemPrompts = [];
+  const messages = [];
+
+  const appendBlocks = (role, blocks) => {
+    const lastMessage = messages[messages.length - 1];
+    if (lastMessage?.role === role) {
+      lastMessage.content.push(...blocks);
     } else {
-      output = await this.client.chat.completions.create({
-        model: this.modelId,
-        messages: cleanMessages,
-        stop: stopSequences,
-        maxTokens
-      });
+      messages.push({ role, content: blocks });
     }
+  };
 
-    const response = output.choices[0].message.content;
-    this.lastInputTokenCount = output.usage.promptTokens;
-    this.lastOutputTokenCount = output.usage.completionTokens;
-    return response;
+  for (const message of messageList) {
+    if (message.role === MessageRole.SYSTEM) {
+      systemPrompts.push(getTextContent(message.content));
+    } else if (message.role === 'tool') {
+      appendBlocks(MessageRole.USER, [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]);
+    } else if (message.tool_calls) {
+      appendBlocks(MessageRole.ASSISTANT, message.tool_calls.map(toolCall => {
+        let input = toolCall.function.arguments;
+        try {
+          input = JSON.parse(input);
+        } catch (e) {
+          // tool_use inputs must be objects
+          input = { input };
+        }
+        return { type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input };
+      }));
+    } else {
+      const blocks = toContentParts(message.content)
+        .filter(part => part.type === 'image' || part.text)
+        .map(part => (part.type === 'image'
+          ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+          : { type: 'text', text: part.text }));
+      if (blocks.length > 0) {
+        appendBlocks(message.role, blocks);
+      }
+    }
   }
 
-  async getToolCall(messages, availableTools, stopSequences) {
-    const cleanMessages = getCleanMessageList(messages, toolRoleConversions);
-    
-    const response = await this.client.chat.completions.create({
+  return { system: systemPrompts.join('\n\n'), messages };
+}
+
+// Talks to the Anthropic Messages API with plain fetch calls.
+export class AnthropicModel extends Model {
+  static capabilities = { contextWindow: 200000, nativeTools: true, parallelTools: true, vision: true, streaming: true };
+
+  constructor(
+    modelId = 'claude-3-5-sonnet-20241022',
+    apiBase = 'https://api.anthropic.com',
+    apiKey = null,
+    { headers = {}, timeout = 120, anthropicVersion = '2023-06-01', toolChoice = 'any' } = {}
+  ) {
+    super();
+    this.modelId = modelId;
+    this.apiBase = apiBase.replace(/\/+$/, '');
+    this.apiKey = apiKey ?? process.env.ANTHROPIC_API_KEY ?? null;
+    this.headers = headers;
+    this.timeout = timeout;
+    this.anthropicVersion = anthropicVersion;
+    this.toolChoice = toolChoice;
+  }
+
+  buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }) {
+    if (grammar) {
+      throw new Error('AnthropicModel does not support grammars.');
+    }
+    // Without tools, tool calls and responses are flattened to text, as the API
+    // refuses tool_use blocks in requests that do not define tools
+    const { system, messages: anthropicMessages } = getAnthropicMessages(
+      tools ? getToolCallingMessageList(messages) : getCleanMessageList(messages, toolRoleConversions)
+    );
+    const body = {
       model: this.modelId,
-      messages: cleanMessages,
-      tools: availableTools.map(getJsonSchema),
-      toolChoice: 'auto',
-      stop: stopSequences
+      messages: anthropicMessages,
+      max_tokens: maxTokens
+    };
+    if (system) {
+      body.system = system;
+    }
+    if (stopSequences?.length) {
+      body.stop_sequences = stopSequences;
+    }
+    if (temperature !== null) {
+      body.temperature = temperature;
+    }
+    if (tools) {
+      body.tools = tools.map(getToolDefinition).map(({ function: definition }) => ({
+        name: definition.name,
+        description: definition.description,
+        input_schema: definition.parameters
+      }));
+      body.tool_choice = { type: this.toolChoice };
+    }
+    return body;
+  }
+
+  sendRequest(body, signal) {
+    const headers = { 'anthropic-version': this.anthropicVersion, ...this.headers };
+    if (this.apiKey) {
+      headers['x-api-key'] = this.apiKey;
+    }
+    return postJson(`${this.apiBase}/v1/messages`, body, { headers, timeout: this.timeout, signal });
+  }
+
+  async generate(messages, {
+    stopSequences = null,
+    grammar = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const body = this.buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools });
+    const output = await (await this.sendRequest(body, signal)).json();
+    const blocks = output.content || [];
+    return this.createChatMessage({
+      content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input })),
+      inputTokens: output.usage?.input_tokens ?? 0,
+      outputTokens: output.usage?.output_tokens ?? 0
     });
+  }
 
-    const toolCall = response.choices[0].message.toolCalls[0];
-    this.lastInputTokenCount = response.usage.promptTokens;
-    this.lastOutputTokenCount = response.usage.completionTokens;
-    
-    return [toolCall.function.name, toolCall.function.arguments, toolCall.id];
+  async *generateStream(messages, {
+    stopSequences = null,
+    grammar = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const body = { ...this.buildRequest(messages, { stopSequences, grammar, maxTokens, temperature, tools }), stream: true };
+    const response = await this.sendRequest(body, signal);
+    const stopFilter = new StopSequenceFilter(stopSequences);
+    // Content block indices count text blocks too, tool calls are numbered apart
+    const toolCallIndices = {};
+    this.lastInputTokenCount = 0;
+    this.lastOutputTokenCount = 0;
+
+    for await (const event of readServerSentEvents(response.body)) {
+      if (event.type === 'error') {
+        throw new Error(`Anthropic stream failed: ${event.error?.message}`);
+      }
+      if (event.type === 'message_start') {
+        this.lastInputTokenCount = event.message.usage?.input_tokens ?? 0;
+        this.lastOutputTokenCount = event.message.usage?.output_tokens ?? 0;
+      } else if (event.type === 'message_delta') {
+        this.lastOutputTokenCount = event.usage?.output_tokens ?? this.lastOutputTokenCount;
+      } else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+        toolCallIndices[event.index] = Object.keys(toolCallIndices).length;
+        yield {
+          type: 'tool_call',
+          index: toolCallIndices[event.index],
+          id: event.content_block.id,
+          name: event.content_block.name,
+          arguments: ''
+        };
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+        yield { type: 'tool_call', index: toolCallIndices[event.index], arguments: event.delta.partial_json };
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        const content = stopFilter.push(event.delta.text);
+        if (content) {
+          yield { type: 'text', content };
+        }
+      }
+    }
+    const rest = stopFilter.flush();
+    if (rest) {
+      yield { type: 'text', content: rest };
+    }
   }
 }
 
 export class LiteLLMModel extends Model {
+  static capabilities = { nativeTools: true, parallelTools: true };
+
   constructor(modelId = 'anthropic/claude-3-5-sonnet-20240620', apiBase = null, apiKey = null) {
     super();
     this.modelId = modelId;
@@ -187,164 +1140,290 @@ export class LiteLLMModel extends Model {
     this.litellm.addFunctionToPrompt = true;
   }
 
-  async call(messages, stopSequences = null, grammar = null, maxTokens = 1500) {
-    const cleanMessages = getCleanMessageList(messages, toolRoleConversions);
-    
-    const response = await this.litellm.completion({
+  async generate(messages, {
+    stopSequences = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const request = {
       model: this.modelId,
-      messages: cleanMessages,
-      stop: stopSequences,
-      maxTokens,
-      apiBase: this.apiBase,
+      messages: getOpenAIMessageList(tools ? getToolCallingMessageList(messages) : getCleanMessageList(messages, toolRoleConversions)),
+      max_tokens: maxTokens,
+      baseUrl: this.apiBase,
       apiKey: this.apiKey
-    });
-
-    this.lastInputTokenCount = response.usage.promptTokens;
-    this.lastOutputTokenCount = response.usage.completionTokens;
-    return response.choices[0].message.content;
-  }
+    };
+    if (stopSequences?.length) {
+      request.stop = stopSequences;
+    }
+    if (temperature !== null) {
+      request.temperature = temperature;
+    }
+    if (tools) {
+      request.tools = tools.map(getToolDefinition);
+      request.tool_choice = 'required';
+    }
 
-  async getToolCall(messages, availableTools, stopSequences = null, maxTokens = 1500) {
-    const cleanMessages = getCleanMessageList(messages, toolRoleConversions);
-    
+    // litellm has no cancellation support, so the signal can only stop us from sending the request
+    signal?.throwIfAborted();
+    let response;
     try {
-      const response = await this.litellm.completion({
-        model: this.modelId,
-        messages: cleanMessages,
-        tools: availableTools.map(tool => ({
-          type: 'function',
-          function: {
-            name: tool.name,
-            description: tool.description,
-            parameters: tool.parameters
-          }
-        })),
-        tool_choice: "required",
-        stop: stopSequences,
-        max_tokens: maxTokens,
-        baseUrl: this.apiBase,
-        apiKey: this.apiKey,
-      });
-
-      if (!response.choices?.[0]?.message?.tool_calls?.[0]) {
-        throw new Error('No tool call in response');
-      }
-
-      const toolCall = response.choices[0].message.tool_calls[0];
-      this.lastInputTokenCount = response.usage?.prompt_tokens || 0;
-      this.lastOutputTokenCount = response.usage?.completion_tokens || 0;
-      
-      let toolArgs;
-      try {
-        toolArgs = JSON.parse(toolCall.function.arguments);
-      } catch (e) {
-        console.warn('Failed to parse tool arguments:', toolCall.function.arguments);
-        toolArgs = toolCall.function.arguments;
-      }
-
-      return [toolCall.function.name, toolArgs, toolCall.id];
+      response = await this.litellm.completion(request);
     } catch (e) {
-      console.error('LiteLLM completion error:', e);
-      throw e;
+      throw toModelHTTPError(e);
     }
+    const message = response.choices[0].message;
+    return this.createChatMessage({
+      content: message.content,
+      toolCalls: parseOpenAIToolCalls(message.tool_calls),
+      inputTokens: response.usage?.prompt_tokens ?? 0,
+      outputTokens: response.usage?.completion_tokens ?? 0
+    }, stopSequences);
+  }
+}
+
+// Stops generation as soon as the end of the output contains a stop sequence.
+// Only the last tokens are decoded, which is enough for short stop sequences.
+class StopSequenceCriteria extends StoppingCriteria {
+  constructor(stopSequences, tokenizer, promptLength, windowTokens = 20) {
+    super();
+    this.stopSequences = stopSequences;
+    this.tokenizer = tokenizer;
+    this.promptLength = promptLength;
+    this.windowTokens = windowTokens;
+  }
+
+  _call(inputIds) {
+    return inputIds.map(ids => {
+      const tail = ids.slice(Math.max(this.promptLength, ids.length - this.windowTokens));
+      const text = this.tokenizer.decode(tail, { skip_special_tokens: true });
+      return this.stopSequences.some(stopSequence => text.includes(stopSequence));
+    });
   }
 }
 
 export class TransformersModel extends Model {
-  constructor(modelId = null) {
+  constructor(modelId = null, { dtype = null, device = null } = {}) {
     super();
     const defaultModelId = 'HuggingFaceTB/SmolLM2-1.7B-Instruct';
     const selectedModelId = modelId || defaultModelId;
     if (!modelId) {
-      console.warn(`modelId not provided, using this default tokenizer for token counts: '${selectedModelId}'`);
+      console.warn(`modelId not provided, using this default model: '${selectedModelId}'`);
     }
     this.modelId = selectedModelId;
-
-    try {
-      this.tokenizer = AutoTokenizer.fromPretrained(selectedModelId);
-      this.model = AutoModelForCausalLM.fromPretrained(selectedModelId);
-    } catch (error) {
-      console.warn(`Failed to load tokenizer and model for modelId=${selectedModelId}: ${error}. Loading default tokenizer and model instead from modelId=${defaultModelId}.`);
-      this.tokenizer = AutoTokenizer.fromPretrained(defaultModelId);
-      this.model = AutoModelForCausalLM.fromPretrained(defaultModelId);
-    }
+    this.defaultModelId = defaultModelId;
+    this.loadOptions = { dtype, device };
+    this.loading = null;
+    this.tokenizer = null;
+    this.model = null;
   }
 
-  makeStoppingCriteria(stopSequences) {
-    class StopOnStrings {
-      constructor(stopStrings, tokenizer) {
-        this.stopStrings = stopStrings;
-        this.tokenizer = tokenizer;
-        this.stream = '';
-      }
-
-      reset() {
-        this.stream = '';
+  // Weights are downloaded on first use, since loading is asynchronous
+  load() {
+    this.loading ??= this.loadPretrained(this.modelId).catch(error => {
+      if (this.modelId === this.defaultModelId) {
+        throw error;
       }
+      console.warn(`Failed to load tokenizer and model for modelId=${this.modelId}: ${error}. Loading default tokenizer and model instead from modelId=${this.defaultModelId}.`);
+      return this.loadPretrained(this.defaultModelId);
+    });
+    return this.loading;
+  }
 
-      call(inputIds, scores) {
-        const generated = this.tokenizer.decode(inputIds[0].slice(-1), { skipSpecialTokens: true });
-        this.stream += generated;
-        return this.stopStrings.some(stopString => this.stream.endsWith(stopString));
-      }
-    }
-
-    return [new StopOnStrings(stopSequences, this.tokenizer)];
+  async loadPretrained(modelId) {
+    const options = Object.fromEntries(Object.entries(this.loadOptions).filter(([, value]) => value !== null));
+    this.tokenizer = await AutoTokenizer.from_pretrained(modelId);
+    this.model = await AutoModelForCausalLM.from_pretrained(modelId, options);
   }
 
-  async generate(messages, stopSequences = null, grammar = null, maxTokens = 1500) {
-    const cleanMessages = getCleanMessageList(messages, toolRoleConversions);
+  // Tool definitions are only rendered in the prompt by the chat template: the
+  // model answers with text, which agents parse into tool calls.
+  async generate(messages, {
+    stopSequences = null,
+    maxTokens = 1500,
+    temperature = null,
+    tools = null,
+    signal = null
+  } = {}) {
+    const cleanMessages = getTextMessageList(getCleanMessageList(messages, toolRoleConversions));
+    signal?.throwIfAborted();
+    await this.load();
+    signal?.throwIfAborted();
 
-    const prompt = await this.tokenizer.applyChatTemplate(cleanMessages, {
-      returnTensors: 'pt',
-      returnDict: true
+    const inputs = this.tokenizer.apply_chat_template(cleanMessages, {
+      tools: tools ? tools.map(getToolDefinition) : null,
+      add_generation_prompt: true,
+      return_dict: true
     });
-    prompt.to(this.model.device);
-    const countPromptTokens = prompt.inputIds.shape[1];
+    const promptLength = inputs.input_ids.dims[1];
 
-    const out = await this.model.generate({
-      ...prompt,
-      maxNewTokens: maxTokens,
-      stoppingCriteria: stopSequences ? this.makeStoppingCriteria(stopSequences) : null
-    });
+    const stoppingCriteria = [];
+    if (stopSequences?.length) {
+      stoppingCriteria.push(new StopSequenceCriteria(stopSequences, this.tokenizer, promptLength));
+    }
+    const interruption = new InterruptableStoppingCriteria();
+    const onAbort = () => interruption.interrupt();
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+      stoppingCriteria.push(interruption);
+    }
+    const generationOptions = temperature ? { do_sample: true, temperature } : {};
 
-    const generatedTokens = out[0].slice(countPromptTokens);
-    const response = await this.tokenizer.decode(generatedTokens, { skipSpecialTokens: true });
+    let output;
+    try {
+      output = await this.model.generate({
+        ...inputs,
+        ...generationOptions,
+        max_new_tokens: maxTokens,
+        stopping_criteria: stoppingCriteria
+      });
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+    signal?.throwIfAborted();
+
+    const generatedTokens = output.slice(null, [promptLength, null]);
+    const [response] = this.tokenizer.batch_decode(generatedTokens, { skip_special_tokens: true });
+    return this.createChatMessage({
+      content: response,
+      inputTokens: promptLength,
+      outputTokens: generatedTokens.dims[1]
+    }, stopSequences);
+  }
+}
 
-    this.lastInputTokenCount = countPromptTokens;
-    this.lastOutputTokenCount = generatedTokens.length;
+// A model that plays back scripted responses, to develop and test agents
+// without any network access. A response is either a string, or an object
+// { content, toolCalls: [{ name, arguments, id }] }, or a function of the call
+// context returning one of these.
+//
+// Rules are tried first, in order: { match, purpose, tools, step, when, response, times }
+// where `match` is a regex or a substring of the last user message, `tools`
+// whether the request gives tools and `step` the index of the action call. Otherwise the next queued response is used,
+// then the fallback if one is given.
+export class ScriptedModel extends Model {
+  static capabilities = {
+    contextWindow: 128000,
+    nativeTools: true,
+    parallelTools: true,
+    vision: true,
+    grammar: true,
+    jsonSchema: true,
+    streaming: true
+  };
 
-    return stopSequences ? removeStopSequences(response, stopSequences) : response;
+  constructor({ responses = [], rules = [], fallback = null, modelId = 'scripted-model', charsPerToken = 4 } = {}) {
+    super();
+    this.modelId = modelId;
+    this.responses = [...responses];
+    this.rules = rules.map(rule => ({ ...rule, used: 0 }));
+    this.fallback = fallback;
+    this.charsPerToken = charsPerToken;
+    this.calls = [];
+    this.actionStep = 0;
   }
 
-  async getToolCall(messages, availableTools, stopSequences = null, maxTokens = 500) {
-    const cleanMessages = getCleanMessageList(messages, toolRoleConversions);
+  matchRule(rule, context) {
+    if (rule.times !== undefined && rule.used >= rule.times) {
+      return false;
+    }
+    if (rule.purpose !== undefined && rule.purpose !== context.purpose) {
+      return false;
+    }
+    if (rule.tools !== undefined && rule.tools !== Boolean(context.tools)) {
+      return false;
+    }
+    if (rule.step !== undefined && rule.step !== context.step) {
+      return false;
+    }
+    if (rule.match !== undefined) {
+      const matches = rule.match instanceof RegExp
+        ? rule.match.test(context.lastUserMessage)
+        : context.lastUserMessage.includes(rule.match);
+      if (!matches) {
+        return false;
+      }
+    }
+    return !rule.when || rule.when(context);
+  }
 
-    const prompt = await this.tokenizer.applyChatTemplate(cleanMessages, {
-      tools: availableTools.map(getJsonSchema),
-      returnTensors: 'pt',
-      returnDict: true,
-      addGenerationPrompt: true
-    });
-    prompt.to(this.model.device);
-    const countPromptTokens = prompt.inputIds.shape[1];
+  nextResponse(messages, { purpose = null, tools = null } = {}) {
+    // Tool observations count as user messages here, so rules can react to them
+    const lastUserMessage = [...messages].reverse().find(
+      message => message.role === MessageRole.USER || message.role === MessageRole.TOOL_RESPONSE
+    );
+    const context = {
+      purpose,
+      messages,
+      tools,
+      lastUserMessage: getTextContent(lastUserMessage?.content),
+      callIndex: this.calls.length,
+      step: this.actionStep
+    };
 
-    const out = await this.model.generate({
-      ...prompt,
-      maxNewTokens: maxTokens,
-      stoppingCriteria: stopSequences ? this.makeStoppingCriteria(stopSequences) : null
-    });
+    let response;
+    const rule = this.rules.find(candidate => this.matchRule(candidate, context));
+    if (rule) {
+      rule.used++;
+      response = rule.response;
+    } else if (this.responses.length > 0) {
+      response = this.responses.shift();
+    } else if (this.fallback !== null) {
+      response = this.fallback;
+    } else {
+      throw new Error(
+        `ScriptedModel has no response left for call ${context.callIndex}. Last user message: ${truncateContent(context.lastUserMessage, 500)}`
+      );
+    }
+    if (typeof response === 'function') {
+      response = response(context);
+    }
+    if (purpose === 'action' || (purpose === null && tools)) {
+      this.actionStep++;
+    }
 
-    const generatedTokens = out[0].slice(countPromptTokens);
-    const response = await this.tokenizer.decode(generatedTokens, { skipSpecialTokens: true });
+    const normalized = typeof response === 'string' ? { content: response, toolCalls: [] } : {
+      content: response.content ?? '',
+      toolCalls: (response.toolCalls || []).map((toolCall, index) => ({
+        id: toolCall.id ?? `call_${context.callIndex}_${index}`,
+        name: toolCall.name,
+        arguments: toolCall.arguments ?? {}
+      }))
+    };
+    this.calls.push({ purpose, messages, tools, response: normalized });
+    return normalized;
+  }
 
-    this.lastInputTokenCount = countPromptTokens;
-    this.lastOutputTokenCount = generatedTokens.length;
+  estimateTokens(text) {
+    return Math.ceil(text.length / this.charsPerToken);
+  }
 
-    const cleanResponse = stopSequences ? removeStopSequences(response, stopSequences) : response;
-    const [toolName, toolInput] = parseJsonToolCall(cleanResponse);
-    const callId = Array.from({ length: 5 }, () => Math.floor(Math.random() * 10)).join('');
+  async generate(messages, { stopSequences = null, tools = null, signal = null, purpose = null } = {}) {
+    signal?.throwIfAborted();
+    const response = this.nextResponse(messages, { purpose, tools });
+    let content = response.content;
+    let toolCalls = structuredClone(response.toolCalls);
+    // Without tools, tool calls are written as JSON actions for agents that parse text
+    if (!tools) {
+      for (const toolCall of toolCalls) {
+        content += `${content ? '\n' : ''}Action:\n${JSON.stringify({ action: toolCall.name, action_input: toolCall.arguments }, null, 2)}`;
+      }
+      toolCalls = [];
+    }
+    // Like a provider would, stop before the first stop sequence
+    for (const stopSequence of stopSequences || []) {
+      const index = content.indexOf(stopSequence);
+      if (index !== -1) {
+        content = content.slice(0, index);
+      }
+    }
 
-    return [toolName, toolInput, callId];
+    const inputTokens = messages.reduce(
+      (total, message) => total + this.estimateTokens(getTextContent(message.content)) + getImageParts(message.content).length * 85,
+      0
+    );
+    const outputTokens = this.estimateTokens(content) + (toolCalls.length ? this.estimateTokens(JSON.stringify(toolCalls)) : 0);
+    return this.createChatMessage({ content, toolCalls, inputTokens, outputTokens });
   }
 }
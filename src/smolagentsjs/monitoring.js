@@ -1,13 +1,20 @@
 export class Monitor {
-  constructor(trackedModel) {
+  constructor(trackedModel, budget = null) {
     this.stepDurations = [];
+    this.cacheHits = 0;
     this.trackedModel = trackedModel;
-    
-    // Check if the model supports token counting
-    if (this.trackedModel?.lastInputTokenCount !== undefined) {
-      this.totalInputTokenCount = 0;
-      this.totalOutputTokenCount = 0;
+    this.setBudget(budget);
+    this.totalInputTokenCount = 0;
+    this.totalOutputTokenCount = 0;
+  }
+
+  // budget: { maxInputTokens, maxOutputTokens, maxCost, pricing: { input, output }, allowFinalAnswer }
+  // Prices are expressed per million tokens, in the same currency as maxCost.
+  setBudget(budget) {
+    if (budget?.maxCost != null && !budget.pricing) {
+      throw new Error('A budget with maxCost needs pricing: { input, output } per million tokens.');
     }
+    this.budget = budget;
   }
 
   getTotalTokenCounts() {
@@ -17,8 +24,46 @@ export class Monitor {
     };
   }
 
+  getEstimatedCost() {
+    const pricing = this.budget?.pricing;
+    if (!pricing) {
+      return null;
+    }
+    return (
+      (this.totalInputTokenCount || 0) * (pricing.input || 0) +
+      (this.totalOutputTokenCount || 0) * (pricing.output || 0)
+    ) / 1_000_000;
+  }
+
+  checkBudget() {
+    if (!this.budget) {
+      return null;
+    }
+    const { maxInputTokens, maxOutputTokens, maxCost } = this.budget;
+
+    if (maxInputTokens != null && this.totalInputTokenCount > maxInputTokens) {
+      return `Input token budget exceeded: used ${this.totalInputTokenCount.toLocaleString()} of ${maxInputTokens.toLocaleString()} tokens.`;
+    }
+    if (maxOutputTokens != null && this.totalOutputTokenCount > maxOutputTokens) {
+      return `Output token budget exceeded: used ${this.totalOutputTokenCount.toLocaleString()} of ${maxOutputTokens.toLocaleString()} tokens.`;
+    }
+    const cost = this.getEstimatedCost();
+    if (maxCost != null && cost > maxCost) {
+      return `Cost budget exceeded: estimated cost ${cost.toFixed(4)} is above the limit of ${maxCost}.`;
+    }
+    return null;
+  }
+
+  // Called by the agent for every model request (steps, planning, summaries and
+  // final answers), so that the totals and the budget check cover all of them.
+  recordUsage(usage) {
+    this.totalInputTokenCount += usage?.inputTokens ?? 0;
+    this.totalOutputTokenCount += usage?.outputTokens ?? 0;
+  }
+
   reset() {
     this.stepDurations = [];
+    this.cacheHits = 0;
     this.totalInputTokenCount = 0;
     this.totalOutputTokenCount = 0;
   }
@@ -30,10 +75,18 @@ export class Monitor {
     let consoleOutputs = `[Step ${this.stepDurations.length - 1}: Duration ${stepDuration.toFixed(2)} seconds`;
 
     if (this.trackedModel?.lastInputTokenCount !== undefined) {
-      this.totalInputTokenCount += this.trackedModel.lastInputTokenCount;
-      this.totalOutputTokenCount += this.trackedModel.lastOutputTokenCount;
       consoleOutputs += ` | Input tokens: ${this.totalInputTokenCount.toLocaleString()} | Output tokens: ${this.totalOutputTokenCount.toLocaleString()}`;
     }
+
+    if (this.trackedModel?.lastCacheHit) {
+      this.cacheHits++;
+      consoleOutputs += ` | Cache hit (${this.cacheHits} so far)`;
+    }
+
+    const cost = this.getEstimatedCost();
+    if (cost !== null) {
+      consoleOutputs += ` | Estimated cost: ${cost.toFixed(4)}`;
+    }
     
     consoleOutputs += ']';
     console.log(consoleOutputs, null, { style: 'dim' });
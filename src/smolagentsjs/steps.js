@@ -1,32 +1,212 @@
-export class SystemPromptStep {
-    constructor(content) {
-        this.content = content;
+import { serializeError, deserializeError } from './utils.js';
+
+export class AgentStep {
+    toJSON() {
+        return { ...this };
+    }
+}
+
+export class SystemPromptStep extends AgentStep {
+    constructor(systemPrompt) {
+        super();
+        this.systemPrompt = systemPrompt;
         this.type = 'system';
     }
 
+    get content() {
+        return this.systemPrompt;
+    }
+
+    static fromJSON(data) {
+        return new SystemPromptStep(data.systemPrompt);
+    }
+
     toString() {
-        return this.content;
+        return this.systemPrompt;
+    }
+}
+
+// Images are content parts ({ type: 'image', mimeType, data }) shown to the
+// model along with the task.
+export class TaskStep extends AgentStep {
+    constructor(task, images = []) {
+        super();
+        this.task = task;
+        this.images = images;
+        this.type = 'task';
+    }
+
+    static fromJSON(data) {
+        return new TaskStep(data.task, data.images || []);
+    }
+
+    toString() {
+        return this.task;
+    }
+}
+
+export class PlanningStep extends AgentStep {
+    constructor({
+        plan,
+        facts,
+        startTime = null,
+        endTime = null,
+        duration = null,
+        inputTokenCount = null,
+        outputTokenCount = null,
+        modelId = null
+    }) {
+        super();
+        this.plan = plan;
+        this.facts = facts;
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.duration = duration;
+        this.inputTokenCount = inputTokenCount;
+        this.outputTokenCount = outputTokenCount;
+        this.modelId = modelId;
+        this.type = 'planning';
+    }
+
+    static fromJSON(data) {
+        return new PlanningStep(data);
+    }
+
+    toString() {
+        return `${this.facts}\n${this.plan}`;
     }
 }
 
-export class HumanInputStep {
+// A tool call is a plain { id, name, arguments } object; the agent adds
+// `observations`, `error` and `approval` to it once the call has been handled.
+export class ActionStep extends AgentStep {
+    constructor({
+        iteration = null,
+        startTime = null,
+        endTime = null,
+        duration = null,
+        agentMemory = null,
+        llmOutput = null,
+        toolCalls = [],
+        observations = null,
+        actionOutput = null,
+        error = null,
+        inputTokenCount = null,
+        outputTokenCount = null,
+        modelId = null
+    } = {}) {
+        super();
+        this.iteration = iteration;
+        this.startTime = startTime;
+        this.endTime = endTime;
+        this.duration = duration;
+        this.agentMemory = agentMemory;
+        this.llmOutput = llmOutput;
+        this.toolCalls = toolCalls;
+        this.observations = observations;
+        this.actionOutput = actionOutput;
+        this.error = error;
+        this.inputTokenCount = inputTokenCount;
+        this.outputTokenCount = outputTokenCount;
+        this.modelId = modelId;
+        this.type = 'action';
+    }
+
+    finish() {
+        this.endTime = Date.now();
+        this.duration = this.endTime - this.startTime;
+    }
+
+    // The memory given to the model is left out: it is rebuilt from the other steps.
+    toJSON() {
+        const { agentMemory, error, toolCalls, ...fields } = this;
+        return {
+            ...JSON.parse(JSON.stringify(fields)),
+            toolCalls: toolCalls.map(({ error: callError, ...toolCall }) => ({
+                ...JSON.parse(JSON.stringify(toolCall)),
+                error: serializeError(callError)
+            })),
+            error: serializeError(error)
+        };
+    }
+
+    static fromJSON(data) {
+        return new ActionStep({
+            ...data,
+            toolCalls: (data.toolCalls || []).map(toolCall => ({
+                ...toolCall,
+                error: deserializeError(toolCall.error)
+            })),
+            error: deserializeError(data.error)
+        });
+    }
+}
+
+export class SummaryStep extends AgentStep {
+    constructor({ summary, summarizedSteps = 0, inputTokenCount = null, outputTokenCount = null }) {
+        super();
+        this.summary = summary;
+        this.summarizedSteps = summarizedSteps;
+        this.inputTokenCount = inputTokenCount;
+        this.outputTokenCount = outputTokenCount;
+        this.type = 'summary';
+    }
+
+    static fromJSON(data) {
+        return new SummaryStep(data);
+    }
+
+    toString() {
+        return this.summary;
+    }
+}
+
+export class HumanInputStep extends AgentStep {
     constructor(content) {
+        super();
         this.content = content;
         this.type = 'human';
     }
 
+    static fromJSON(data) {
+        return new HumanInputStep(data.content);
+    }
+
     toString() {
         return this.content;
     }
 }
 
-export class AssistantOutputStep {
+export class AssistantOutputStep extends AgentStep {
     constructor(content) {
+        super();
         this.content = content;
         this.type = 'assistant';
     }
 
+    static fromJSON(data) {
+        return new AssistantOutputStep(data.content);
+    }
+
     toString() {
         return this.content;
     }
-} 
+}
+
+const STEP_CLASSES = {
+    system: SystemPromptStep,
+    task: TaskStep,
+    planning: PlanningStep,
+    action: ActionStep,
+    summary: SummaryStep,
+    human: HumanInputStep,
+    assistant: AssistantOutputStep
+};
+
+export function stepFromJSON(data) {
+    const StepClass = STEP_CLASSES[data.type];
+    if (!StepClass) {
+        throw new Error(`Unknown step type ${data.type}, only ${Object.keys(STEP_CLASSES)} are supported for now.`);
+    }
+    return StepClass.fromJSON(data);
+}
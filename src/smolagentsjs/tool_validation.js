@@ -142,3 +142,85 @@ function isSimpleLiteral(node) {
     (node.type === 'ObjectExpression' && node.properties.every(p => isSimpleLiteral(p.value)))
   );
 }
+
+function parseFunctionSource(source) {
+  const options = { ecmaVersion: 'latest', sourceType: 'module' };
+  try {
+    return acorn.parseExpressionAt(`(${source})`, 0, options);
+  } catch {
+    // Method shorthand, e.g. `async search(query) {}` taken from an object literal
+    const object = acorn.parseExpressionAt(`({${source}})`, 0, options);
+    return object.properties[0].value;
+  }
+}
+
+function getLiteralValue(node) {
+  switch (node.type) {
+    case 'Literal':
+      return node.regex ? undefined : node.value;
+    case 'UnaryExpression': {
+      const value = node.operator === '-' ? getLiteralValue(node.argument) : undefined;
+      return typeof value === 'number' ? -value : undefined;
+    }
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'ArrayExpression': {
+      const values = node.elements.map(element => (element ? getLiteralValue(element) : undefined));
+      return values.includes(undefined) ? undefined : values;
+    }
+    case 'ObjectExpression': {
+      const entries = node.properties.map(property =>
+        property.type === 'Property' && !property.computed
+          ? [property.key.name ?? property.key.value, getLiteralValue(property.value)]
+          : [null, undefined]
+      );
+      return entries.some(([, value]) => value === undefined) ? undefined : Object.fromEntries(entries);
+    }
+    default:
+      return undefined;
+  }
+}
+
+function getParameter(node) {
+  if (node.type === 'Identifier') {
+    return { name: node.name, optional: false };
+  }
+  if (node.type === 'AssignmentPattern' && node.left.type === 'Identifier') {
+    const parameter = { name: node.left.name, optional: true };
+    const value = getLiteralValue(node.right);
+    if (value !== undefined) {
+      parameter.default = value;
+    }
+    return parameter;
+  }
+  return null;
+}
+
+// Reads parameter names and literal defaults from a function's source. When the
+// first parameter is destructured, as in `async ({ query, limit = 5 }) => {}`,
+// the function takes the arguments object itself, then the call options.
+export function inferFunctionParameters(fn) {
+  let node;
+  try {
+    node = parseFunctionSource(fn.toString());
+  } catch {
+    return null;
+  }
+  if (!node || !['ArrowFunctionExpression', 'FunctionExpression'].includes(node.type)) {
+    return null;
+  }
+
+  const params = node.params.filter(param => param.type !== 'RestElement');
+  if (params[0]?.type === 'ObjectPattern') {
+    const parameters = params[0].properties
+      .filter(property => property.type === 'Property' && !property.computed)
+      .map(property => ({ ...getParameter(property.value), name: property.key.name ?? property.key.value }));
+    return { style: 'object', parameters };
+  }
+
+  const parameters = params.map(getParameter);
+  if (parameters.includes(null)) {
+    throw new TypeError('Tool functions can only take plain parameters, or a destructured arguments object as first parameter.');
+  }
+  return { style: 'positional', parameters };
+}
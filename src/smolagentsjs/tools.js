@@ -1,3 +1,6 @@
+import { coerceJsonSchema, getJsonType, validateJsonSchema } from './json_schema.js';
+import { inferFunctionParameters } from './tool_validation.js';
+
 export const AUTHORIZED_TYPES = [
   "string",
   "boolean", 
@@ -6,15 +9,103 @@ export const AUTHORIZED_TYPES = [
   "image",
   "audio",
   "any",
-  "object"
+  "object",
+  "array",
+  "null"
 ];
 
+export const DEFAULT_TOOL_DESCRIPTION_TEMPLATE = `- {{name}}: {{description}}
+    Takes inputs: {{inputs}}
+    Returns an output of type: {{outputType}}`;
+
+// Tool inputs are JSON Schemas extended with the 'any', 'image' and 'audio'
+// types and the OpenAPI `nullable` keyword. Models pass images and audio as
+// strings, usually the name of a state variable holding the actual value.
+const MODEL_TYPE_SCHEMAS = { any: {}, image: { type: 'string' }, audio: { type: 'string' } };
+const VALIDATION_TYPE_SCHEMAS = { any: {}, image: {}, audio: {} };
+
+function toJsonSchema(schema, typeSchemas) {
+  if (typeof schema !== 'object' || schema === null) {
+    return schema;
+  }
+  const { type, nullable, properties, items, additionalProperties, anyOf, oneOf, allOf, ...rest } = schema;
+  const result = {};
+
+  if (type !== undefined) {
+    const types = (Array.isArray(type) ? type : [type]).map(name => (name in typeSchemas ? typeSchemas[name].type : name));
+    if (!types.includes(undefined)) {
+      if (nullable && !types.includes('null')) {
+        types.push('null');
+      }
+      result.type = types.length === 1 ? types[0] : types;
+    }
+  }
+  Object.assign(result, rest);
+  if (nullable && result.enum && !result.enum.includes(null)) {
+    result.enum = [...result.enum, null];
+  }
+  if (properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(properties).map(([key, value]) => [key, toJsonSchema(value, typeSchemas)])
+    );
+  }
+  if (items) {
+    result.items = toJsonSchema(items, typeSchemas);
+  }
+  if (additionalProperties !== undefined) {
+    result.additionalProperties = toJsonSchema(additionalProperties, typeSchemas);
+  }
+  for (const [keyword, subschemas] of Object.entries({ anyOf, oneOf, allOf })) {
+    if (subschemas) {
+      result[keyword] = subschemas.map(subschema => toJsonSchema(subschema, typeSchemas));
+    }
+  }
+  return result;
+}
+
+function checkInputSchema(schema, where) {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    throw new TypeError(`${where} must be a JSON Schema object`);
+  }
+  if (schema.type !== undefined) {
+    for (const type of Array.isArray(schema.type) ? schema.type : [schema.type]) {
+      if (!AUTHORIZED_TYPES.includes(type)) {
+        throw new TypeError(`${where} has invalid type ${type}`);
+      }
+    }
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    throw new TypeError(`${where} must have a non-empty enum array`);
+  }
+  for (const [key, value] of Object.entries(schema.properties || {})) {
+    checkInputSchema(value, `${where}.${key}`);
+  }
+  if (schema.items !== undefined) {
+    checkInputSchema(schema.items, `${where}[]`);
+  }
+  if (typeof schema.additionalProperties === 'object') {
+    checkInputSchema(schema.additionalProperties, `${where}.*`);
+  }
+  for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+    schema[keyword]?.forEach((subschema, index) => checkInputSchema(subschema, `${where}.${keyword}[${index}]`));
+  }
+}
+
+export class ToolArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolArgumentError';
+  }
+}
+
 export class Tool {
   constructor(config = {}) {
-    this.name = config.name;
-    this.description = config.description;
-    this.inputs = config.inputs || {};
-    this.outputType = config.outputType;
+    // Subclasses can also declare their metadata as static class fields
+    const attributes = this.constructor;
+    this.name = config.name ?? attributes.name;
+    this.description = config.description ?? attributes.description;
+    this.inputs = config.inputs || attributes.inputs || {};
+    this.outputType = config.outputType ?? attributes.outputType;
     this.isInitialized = false;
     this.validateArguments();
   }
@@ -38,8 +129,12 @@ export class Tool {
       if (!input.type || !input.description) {
         throw new TypeError(`Input ${inputName} must have type and description`);
       }
-      if (!AUTHORIZED_TYPES.includes(input.type)) {
-        throw new TypeError(`Input ${inputName} has invalid type ${input.type}`);
+      checkInputSchema(input, `Input ${inputName}`);
+      if ('default' in input) {
+        const errors = validateJsonSchema(input.default, toJsonSchema(input, VALIDATION_TYPE_SCHEMAS), `${inputName} default`);
+        if (errors.length > 0) {
+          throw new TypeError(`Input ${inputName} has an invalid default: ${errors.join(' ')}`);
+        }
       }
     }
 
@@ -49,23 +144,125 @@ export class Tool {
     }
   }
 
+  // The JSON Schema of the arguments object, as sent to models
+  getInputSchema() {
+    return this.buildInputSchema(MODEL_TYPE_SCHEMAS);
+  }
+
+  buildInputSchema(typeSchemas) {
+    const properties = {};
+    const required = [];
+    for (const [inputName, input] of Object.entries(this.inputs)) {
+      properties[inputName] = toJsonSchema(input, typeSchemas);
+      if (!input.nullable && !('default' in input)) {
+        required.push(inputName);
+      }
+    }
+    return { type: 'object', properties, required, additionalProperties: false };
+  }
+
+  // Coerces the arguments a model produced to the input schema and validates
+  // them. Errors list every problem so that the model can fix its call.
+  sanitizeArguments(args) {
+    const inputNames = Object.keys(this.inputs);
+    if (args === null || args === undefined) {
+      args = {};
+    } else if (typeof args === 'string') {
+      const parsed = coerceJsonSchema(args, { type: 'object' });
+      if (typeof parsed === 'object') {
+        args = parsed;
+      } else if (inputNames.length === 1) {
+        args = { [inputNames[0]]: args };
+      }
+    }
+
+    const schema = this.buildInputSchema(VALIDATION_TYPE_SCHEMAS);
+    const coerced = coerceJsonSchema(args, schema);
+    const errors = validateJsonSchema(coerced, schema, 'arguments');
+    if (errors.length > 0) {
+      throw new ToolArgumentError(
+        `Invalid arguments for tool '${this.name}':\n${errors.map(error => `- ${error}`).join('\n')}`
+      );
+    }
+    return coerced;
+  }
+
   async setup() {
     this.isInitialized = true;
   }
 
-  async forward(...args) {
+  async forward(args, options) {
     throw new Error('Tool must implement forward() method');
   }
 
-  async __call__(...args) {
+  async __call__(args, { sanitizeInputsOutputs = false, signal = null } = {}) {
     if (!this.isInitialized) {
       await this.setup();
     }
-    return this.forward(...args);
+    if (sanitizeInputsOutputs) {
+      args = this.sanitizeArguments(args);
+    }
+    return this.forward(args, { signal });
+  }
+}
+
+function inferInputType(value) {
+  if (value === undefined || value === null) {
+    return 'any';
   }
+  const type = getJsonType(value);
+  return type === 'integer' ? 'number' : type;
 }
 
-export function tool(config) {
+// Wraps a plain (async) function as a tool. The model's arguments object is
+// mapped onto the function parameters by name, and inputs missing from
+// `parameters` are inferred from the parameter names and literal defaults.
+export class FunctionTool extends Tool {
+  constructor(fn, { name = fn.name, description, parameters = {}, outputType = 'any' } = {}) {
+    const signature = inferFunctionParameters(fn);
+    const inputs = {};
+    for (const parameter of signature?.parameters ?? []) {
+      const input = {
+        type: inferInputType(parameter.default),
+        description: `The ${parameter.name} argument.`
+      };
+      if ('default' in parameter) {
+        input.default = parameter.default;
+      } else if (parameter.optional) {
+        input.nullable = true;
+      }
+      inputs[parameter.name] = { ...input, ...parameters[parameter.name] };
+    }
+    for (const [parameterName, input] of Object.entries(parameters)) {
+      if (signature && !(parameterName in inputs)) {
+        throw new TypeError(`Parameter ${parameterName} is not an argument of function ${name || '(anonymous)'}`);
+      }
+      inputs[parameterName] ??= input;
+    }
+
+    super({ name, description, inputs, outputType });
+    this.fn = fn;
+    this.argumentStyle = signature?.style ?? 'positional';
+  }
+
+  async forward(args, options) {
+    if (this.argumentStyle === 'object') {
+      return this.fn(args, options);
+    }
+    if (args === null || typeof args !== 'object') {
+      return this.fn(args);
+    }
+    return this.fn(...Object.keys(this.inputs).map(inputName => args[inputName]));
+  }
+}
+
+// tool(fn, { name, description, parameters, outputType }) returns a tool
+// instance. The older tool(config) form still returns a class decorator.
+export function tool(fn, metadata = {}) {
+  if (typeof fn === 'function') {
+    return new FunctionTool(fn, metadata);
+  }
+  const config = fn;
   return target => class extends Tool {
     constructor() {
       super({
@@ -79,6 +276,13 @@ export function tool(config) {
   }
 }
 
+// Built-in tools that Toolbox.addBaseTools can add, registered by default_tools.js
+const BASE_TOOLS = new Map();
+
+export function registerBaseTool(name, createTool) {
+  BASE_TOOLS.set(name, createTool);
+}
+
 export class Toolbox {
   constructor(tools = [], addBaseTools = false) {
     this._tools = new Map();
@@ -87,12 +291,35 @@ export class Toolbox {
     }
     
     if (addBaseTools) {
-      this.addBaseTools();
+      this.addBaseTools(addBaseTools === true ? {} : addBaseTools);
     }
   }
 
-  addBaseTools() {
-    // TODO: Implement default tools
+  // Adds the registered base tools that the toolbox does not have yet. Tools
+  // whose optional dependencies are not installed are skipped with a warning.
+  addBaseTools({ include = null, exclude = [] } = {}) {
+    if (BASE_TOOLS.size === 0) {
+      throw new Error("No base tools are registered, import './default_tools.js' to register them.");
+    }
+    for (const toolName of [...(include ?? []), ...exclude]) {
+      if (!BASE_TOOLS.has(toolName)) {
+        throw new Error(`Unknown base tool ${toolName}, should be one of ${Array.from(BASE_TOOLS.keys()).join(', ')}`);
+      }
+    }
+
+    for (const [toolName, createTool] of BASE_TOOLS) {
+      if ((include && !include.includes(toolName)) || exclude.includes(toolName) || this._tools.has(toolName)) {
+        continue;
+      }
+      let tool;
+      try {
+        tool = createTool();
+      } catch (e) {
+        console.warn(`Skipping base tool ${toolName}: ${e.message}`);
+        continue;
+      }
+      this.addTool(tool);
+    }
   }
 
   get tools() {
@@ -124,11 +351,17 @@ export class Toolbox {
     this._tools.clear();
   }
 
-  showToolDescriptions() {
-    let desc = 'Toolbox contents:\n';
-    for (const [name, tool] of this._tools) {
-      desc += `\t${name}: ${tool.description}\n`;
-    }
-    return desc;
+  getToolDescriptionWithArgs(tool, template = null) {
+    return (template || DEFAULT_TOOL_DESCRIPTION_TEMPLATE)
+      .replaceAll('{{name}}', () => tool.name)
+      .replaceAll('{{description}}', () => tool.description)
+      .replaceAll('{{inputs}}', () => JSON.stringify(tool.inputs))
+      .replaceAll('{{outputType}}', () => tool.outputType);
+  }
+
+  showToolDescriptions(template = null) {
+    return Array.from(this._tools.values())
+      .map(tool => this.getToolDescriptionWithArgs(tool, template))
+      .join('\n');
   }
 }
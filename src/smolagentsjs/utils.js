@@ -52,7 +52,114 @@ export class AgentGenerationError extends AgentError {
   }
 }
 
+export class AgentCancelledError extends AgentError {
+  constructor(message) {
+    super(message);
+    this.name = 'AgentCancelledError';
+  }
+}
+
+export class AgentBudgetExceededError extends AgentError {
+  constructor(message) {
+    super(message);
+    this.name = 'AgentBudgetExceededError';
+  }
+}
+
+export class AgentOutputValidationError extends AgentError {
+  constructor(message) {
+    super(message);
+    this.name = 'AgentOutputValidationError';
+  }
+}
+
+const AGENT_ERROR_CLASSES = {
+  AgentError,
+  AgentParsingError,
+  AgentExecutionError,
+  AgentMaxIterationsError,
+  AgentGenerationError,
+  AgentCancelledError,
+  AgentBudgetExceededError,
+  AgentOutputValidationError
+};
+
+export function serializeError(error) {
+  if (!error) {
+    return null;
+  }
+  return {
+    name: error.name || 'Error',
+    message: error.message ?? String(error)
+  };
+}
+
+// Errors are rebuilt without going through the AgentError constructor, so that
+// restoring old logs does not print them to the console a second time.
+export function deserializeError(data) {
+  if (!data) {
+    return null;
+  }
+  const ErrorClass = AGENT_ERROR_CLASSES[data.name] || Error;
+  const error = Object.create(ErrorClass.prototype);
+  error.name = data.name;
+  error.message = data.message;
+  return error;
+}
+
 // Export functions
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+// JSON serialization with sorted object keys, so that equal values always give
+// the same string (and the same hash).
+export function stableStringify(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      return Object.fromEntries(
+        Object.keys(item).sort().map(itemKey => [itemKey, item[itemKey]])
+      );
+    }
+    return item;
+  });
+}
+
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || items.length, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
 export function parseJsonBlob(jsonBlob) {
   try {
     const firstAccoladeIndex = jsonBlob.indexOf('{');
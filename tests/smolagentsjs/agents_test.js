@@ -0,0 +1,81 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolCallingAgent, JsonAgent, CodeAgent } from '../../src/smolagentsjs/agents.js';
+import { ScriptedModel } from '../../src/smolagentsjs/models.js';
+import { tool } from '../../src/smolagentsjs/tools.js';
+
+function createAddTool() {
+  return tool(async ({ a, b }) => a + b, {
+    name: 'add',
+    description: 'Adds two numbers.',
+    parameters: {
+      a: { type: 'number', description: 'The first number.' },
+      b: { type: 'number', description: 'The second number.' }
+    },
+    outputType: 'number'
+  });
+}
+
+// The last call shows the model the whole run, observations included
+function getLastPrompt(model) {
+  return model.calls.at(-1).messages.map(message => JSON.stringify(message.content)).join('\n');
+}
+
+describe('agents with a scripted model', () => {
+  test('ToolCallingAgent calls tools until final_answer', async () => {
+    const model = new ScriptedModel({
+      responses: [
+        { toolCalls: [{ name: 'add', arguments: { a: 2, b: '3' } }] },
+        { toolCalls: [{ name: 'final_answer', arguments: { answer: 'The sum is 5' } }] }
+      ]
+    });
+    const agent = new ToolCallingAgent({ tools: [createAddTool()], model });
+
+    assert.equal(await agent.run('What is 2 + 3?'), 'The sum is 5');
+    assert.equal(model.calls.length, 2);
+    assert.ok(model.calls[0].tools.some(tool => tool.name === 'final_answer'));
+    assert.match(getLastPrompt(model), /Observation:.*5/);
+  });
+
+  test('JsonAgent parses the actions written by the model', async () => {
+    const model = new ScriptedModel({
+      responses: [
+        { content: 'Thought: I will add the numbers.', toolCalls: [{ name: 'add', arguments: { a: 2, b: 3 } }] },
+        { content: 'Thought: I have the result.', toolCalls: [{ name: 'final_answer', arguments: { answer: 5 } }] }
+      ]
+    });
+    const agent = new JsonAgent({ tools: [createAddTool()], model });
+
+    assert.equal(await agent.run('What is 2 + 3?'), 5);
+    assert.equal(model.calls[0].tools, null);
+  });
+
+  test('CodeAgent runs code that awaits tools and calls final_answer', async () => {
+    const model = new ScriptedModel({
+      responses: [
+        'Thought: I will add the numbers.\nCode:\n```js\nconst total = await add({ a: 2, b: 3 });\nconsole.log(total);\n```<end_code>',
+        'Thought: The sum is in the logs.\nCode:\n```js\nfinal_answer({ answer: 5 * 2 });\n```<end_code>'
+      ]
+    });
+    const agent = new CodeAgent({ tools: [createAddTool()], model });
+
+    assert.equal(await agent.run('What is twice 2 + 3?'), 10);
+    assert.match(getLastPrompt(model), /Execution logs:.*5/);
+  });
+
+  test('errors are sent back to the model, which can recover', async () => {
+    const model = new ScriptedModel({
+      responses: [
+        { toolCalls: [{ name: 'multiply', arguments: { a: 2, b: 3 } }] },
+        { toolCalls: [{ name: 'add', arguments: { a: 2 } }] },
+        { toolCalls: [{ name: 'final_answer', arguments: { answer: 'done' } }] }
+      ]
+    });
+    const agent = new ToolCallingAgent({ tools: [createAddTool()], model });
+
+    assert.equal(await agent.run('What is 2 * 3?'), 'done');
+    const prompt = getLastPrompt(model);
+    assert.match(prompt, /Unknown tool multiply/);
+    assert.match(prompt, /missing the required property 'b'/);
+  });
+});
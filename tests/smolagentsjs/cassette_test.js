@@ -0,0 +1,76 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { ScriptedModel } from '../../src/smolagentsjs/models.js';
+import { CassetteModel, CassetteMode, CassetteMismatchError } from '../../src/smolagentsjs/model_wrappers.js';
+
+const question = [{ role: 'user', content: 'What is the capital of France?' }];
+const followUp = [...question, { role: 'assistant', content: 'Paris' }, { role: 'user', content: 'And of Italy?' }];
+
+describe('CassetteModel', () => {
+  let cassetteDir;
+  let cassettePath;
+
+  before(async () => {
+    cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'smolagents-cassette-'));
+    cassettePath = path.join(cassetteDir, 'capitals.json');
+
+    const model = new ScriptedModel({ responses: ['Paris', { toolCalls: [{ name: 'final_answer', arguments: { answer: 'Rome' } }] }] });
+    const recorder = new CassetteModel({ cassettePath, model });
+    assert.equal(recorder.mode, CassetteMode.RECORD);
+    await recorder.generate(question);
+    await recorder.generate(followUp, { tools: [], maxTokens: 100 });
+  });
+
+  after(() => {
+    fs.rmSync(cassetteDir, { recursive: true, force: true });
+  });
+
+  test('records every interaction to the cassette file', () => {
+    const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf-8'));
+    assert.equal(cassette.modelId, 'scripted-model');
+    assert.equal(cassette.interactions.length, 2);
+    assert.equal(cassette.interactions[0].response.content, 'Paris');
+    assert.equal(cassette.interactions[1].request.params.maxTokens, 100);
+  });
+
+  test('replays the recorded responses without a model', async () => {
+    const player = new CassetteModel({ cassettePath });
+    assert.equal(player.mode, CassetteMode.REPLAY);
+
+    const first = await player.generate(question);
+    assert.equal(first.content, 'Paris');
+    assert.ok(player.lastInputTokenCount > 0);
+
+    const second = await player.generate(followUp, { tools: [], maxTokens: 100 });
+    assert.deepEqual(second.toolCalls.map(toolCall => [toolCall.name, toolCall.arguments]), [['final_answer', { answer: 'Rome' }]]);
+    player.assertAllUsed();
+  });
+
+  test('matches messages regardless of cosmetic differences', async () => {
+    const player = new CassetteModel({ cassettePath });
+    const message = await player.generate([{ role: 'user', content: 'What is the capital of France?  ', id: 42 }]);
+    assert.equal(message.content, 'Paris');
+  });
+
+  test('reports the first difference on a mismatch', async () => {
+    const player = new CassetteModel({ cassettePath });
+    await assert.rejects(
+      player.generate([{ role: 'user', content: 'What is the capital of Spain?' }]),
+      error => error instanceof CassetteMismatchError && error.message.includes('Message 0 differs')
+    );
+    await assert.rejects(
+      player.generate(followUp, { tools: [], maxTokens: 200 }),
+      error => error instanceof CassetteMismatchError && error.message.includes('Request parameters differ')
+    );
+  });
+
+  test('serves a recorded response only once', async () => {
+    const player = new CassetteModel({ cassettePath });
+    await player.generate(question);
+    await assert.rejects(player.generate(question), CassetteMismatchError);
+    assert.throws(() => player.assertAllUsed(), /1 recorded interactions .* were not replayed/);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { validateJsonSchema, coerceJsonSchema } from '../../src/smolagentsjs/json_schema.js';
+
+const searchSchema = {
+  type: 'object',
+  properties: {
+    query: { type: 'string', minLength: 1 },
+    limit: { type: 'integer', minimum: 1, default: 10 },
+    safe: { type: 'boolean' },
+    region: { type: 'string', enum: ['us', 'eu'], nullable: true },
+    filters: {
+      type: 'object',
+      properties: { year: { type: 'integer' } },
+      additionalProperties: false
+    },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 }
+  },
+  required: ['query']
+};
+
+describe('validateJsonSchema', () => {
+  test('accepts valid values', () => {
+    assert.deepEqual(validateJsonSchema({ query: 'cats', limit: 3, region: null, tags: ['a'] }, searchSchema), []);
+  });
+
+  test('reports every error with the path of the value', () => {
+    const errors = validateJsonSchema({ limit: 0, region: 'asia', filters: { year: 2024, month: 1 }, tags: ['a', 2, 'c'] }, searchSchema);
+    assert.deepEqual(errors, [
+      "value is missing the required property 'query'.",
+      'limit should be >= 1.',
+      'region should be one of "us", "eu", got "asia".',
+      "filters has an unexpected property 'month'.",
+      'tags should have at most 2 items.',
+      'tags[1] should be of type string, got integer.'
+    ]);
+  });
+
+  test('treats integers as numbers but not the other way around', () => {
+    assert.deepEqual(validateJsonSchema(3, { type: 'number' }), []);
+    assert.deepEqual(validateJsonSchema(3.5, { type: 'integer' }), ['value should be of type integer, got number.']);
+  });
+
+  test('checks anyOf, oneOf and boolean schemas', () => {
+    const schema = { oneOf: [{ type: 'integer' }, { type: 'number', minimum: 0 }] };
+    assert.deepEqual(validateJsonSchema(-1.5, schema), ['value should match exactly one of the allowed schemas, matched 0.']);
+    assert.deepEqual(validateJsonSchema(2, schema), ['value should match exactly one of the allowed schemas, matched 2.']);
+    assert.deepEqual(validateJsonSchema('x', { anyOf: [{ type: 'null' }, { type: 'string' }] }), []);
+    assert.deepEqual(validateJsonSchema('x', false), ['value is not allowed.']);
+    assert.deepEqual(validateJsonSchema('x', true), []);
+  });
+
+  test('rejects unknown types', () => {
+    assert.throws(() => validateJsonSchema(1, { type: 'float' }), /Unsupported JSON Schema type 'float'/);
+  });
+});
+
+describe('coerceJsonSchema', () => {
+  test('fixes scalars written as strings and fills defaults', () => {
+    const coerced = coerceJsonSchema({ query: 'cats', safe: 'true', filters: '{"year": "2024"}' }, searchSchema);
+    assert.deepEqual(coerced, { query: 'cats', safe: true, filters: { year: 2024 }, limit: 10 });
+    assert.deepEqual(validateJsonSchema(coerced, searchSchema), []);
+  });
+
+  test('parses arrays passed as JSON strings and coerces their items', () => {
+    assert.deepEqual(coerceJsonSchema('[1, 2]', { type: 'array', items: { type: 'string' } }), ['1', '2']);
+  });
+
+  test('leaves values it cannot fix for validation to report', () => {
+    assert.equal(coerceJsonSchema('2.5', { type: 'integer' }), '2.5');
+    assert.equal(coerceJsonSchema('', { type: 'number' }), '');
+    assert.equal(coerceJsonSchema('{not json', { type: 'object' }), '{not json');
+    assert.equal(coerceJsonSchema('yes', { type: 'boolean' }), 'yes');
+    assert.equal(coerceJsonSchema('null', { type: 'string', nullable: true }), 'null');
+  });
+
+  test('does not modify the value or the schema defaults', () => {
+    const schema = { type: 'object', properties: { tags: { type: 'array', default: [] }, limit: { type: 'integer' } } };
+    const value = { limit: '5' };
+    const coerced = coerceJsonSchema(value, schema);
+    coerced.tags.push('changed');
+    assert.deepEqual(value, { limit: '5' });
+    assert.deepEqual(schema.properties.tags.default, []);
+  });
+
+  test('picks the first alternative the value can be coerced to', () => {
+    assert.equal(coerceJsonSchema('7', { anyOf: [{ type: 'boolean' }, { type: 'integer' }] }), 7);
+    assert.equal(coerceJsonSchema('7', { anyOf: [{ type: 'string' }, { type: 'integer' }] }), '7');
+  });
+
+  test('coerces objects created in another realm', () => {
+    const value = vm.runInNewContext('({ limit: "5", query: "cats" })');
+    assert.deepEqual(coerceJsonSchema(value, searchSchema), { query: 'cats', limit: 5 });
+  });
+});
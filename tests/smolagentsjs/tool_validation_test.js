@@ -0,0 +1,60 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inferFunctionParameters } from '../../src/smolagentsjs/tool_validation.js';
+import { tool } from '../../src/smolagentsjs/tools.js';
+
+describe('inferFunctionParameters', () => {
+  test('reads positional parameters and their literal defaults', () => {
+    function search(query, limit = 5, region = 'us', offset = -1, filters = { year: 2024 }, tags = [], since = null) {}
+    assert.deepEqual(inferFunctionParameters(search), {
+      style: 'positional',
+      parameters: [
+        { name: 'query', optional: false },
+        { name: 'limit', optional: true, default: 5 },
+        { name: 'region', optional: true, default: 'us' },
+        { name: 'offset', optional: true, default: -1 },
+        { name: 'filters', optional: true, default: { year: 2024 } },
+        { name: 'tags', optional: true, default: [] },
+        { name: 'since', optional: true, default: null }
+      ]
+    });
+  });
+
+  test('marks parameters with computed defaults as optional, without a default', () => {
+    const parameters = inferFunctionParameters((date = new Date(), size = 2 * 3) => {}).parameters;
+    assert.deepEqual(parameters, [{ name: 'date', optional: true }, { name: 'size', optional: true }]);
+  });
+
+  test('reads a destructured arguments object', () => {
+    assert.deepEqual(inferFunctionParameters(async ({ query, limit = 5, 'safe': safe = true }, options) => {}), {
+      style: 'object',
+      parameters: [
+        { name: 'query', optional: false },
+        { name: 'limit', optional: true, default: 5 },
+        { name: 'safe', optional: true, default: true }
+      ]
+    });
+  });
+
+  test('reads methods and ignores rest parameters', () => {
+    const tools = { async search(query, ...rest) {} };
+    assert.deepEqual(inferFunctionParameters(tools.search), { style: 'positional', parameters: [{ name: 'query', optional: false }] });
+  });
+
+  test('returns null when the source cannot be read', () => {
+    assert.equal(inferFunctionParameters(Math.max), null);
+    assert.equal(inferFunctionParameters(class Search {}), null);
+  });
+
+  test('rejects destructured positional parameters', () => {
+    assert.throws(() => inferFunctionParameters((query, [first]) => {}), TypeError);
+  });
+});
+
+describe('tool', () => {
+  test('maps the arguments object onto positional parameters', async () => {
+    const searchTool = tool((query, limit = 2) => `${query}:${limit}`, { name: 'search', description: 'Searches.' });
+    assert.equal(searchTool.inputs.limit.type, 'number');
+    assert.equal(await searchTool.forward({ limit: 3, query: 'cats' }), 'cats:3');
+  });
+});
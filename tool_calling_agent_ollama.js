@@ -0,0 +1,46 @@
+import { ToolCallingAgent } from './src/smolagentsjs/agents.js';
+import { tool } from './src/smolagentsjs/tools.js';
+import { OllamaModel } from './src/smolagentsjs/models.js';
+
+const model = new OllamaModel(
+  "llama3.2",
+  process.env.OLLAMA_HOST || "http://localhost:11434" // replace with a remote Ollama server if necessary
+);
+
+const getWeather = tool(
+  async (location, celsius = false) => {
+    return "The weather is UNGODLY with torrential rains and temperatures below -10°C";
+  },
+  {
+    name: "get_weather",
+    description: "Get weather in the next days at given location.",
+    parameters: {
+      location: {
+        type: 'string',
+        description: 'The location to get weather for'
+      },
+      celsius: {
+        type: 'boolean',
+        description: 'Whether to return temperature in Celsius',
+        default: false
+      }
+    }
+  }
+);
+
+const agent = new ToolCallingAgent({
+  tools: [getWeather],
+  model: model
+});
+
+(async () => {
+  try {
+    const response = await agent.run("What's the weather like in Paris?");
+    console.log(response);
+  } catch (error) {
+    console.error('Error:', error);
+    if (error.cause) {
+      console.error('Caused by:', error.cause);
+    }
+  }
+})();